@@ -0,0 +1,31 @@
+// netlify/functions/auditLog.js
+// Record of admin changes, per gallery, in the `audit-log` document: newest
+// first, capped at MAX_RECORDS. Each record is
+//   { at, by, action, ids, details }
+// where `by` is the admin name from auth.js and `details` is action specific
+// (e.g. the old names for a rename).
+
+const { galleryKey } = require('./entries');
+
+const MAX_RECORDS = 1000;
+
+const logKey = (galleryId) => galleryKey(galleryId, 'audit-log');
+
+/**
+ * Append a record to a gallery's audit log.
+ */
+async function recordAudit(store, galleryId, { by, action, ids = [], details = null }) {
+    const record = { at: new Date().toISOString(), by, action, ids, ...(details ? { details } : {}) };
+    console.log(`Audit [${galleryId}]: ${by} ${action} ${ids.join(', ')}`);
+    await store.update(logKey(galleryId), (log) => [record, ...log].slice(0, MAX_RECORDS), { fallback: [] });
+}
+
+/**
+ * The latest `limit` records of a gallery's audit log.
+ */
+async function readAudit(store, galleryId, limit = 100) {
+    const { data } = await store.read(logKey(galleryId), []);
+    return data.slice(0, limit);
+}
+
+module.exports = { recordAudit, readAudit };
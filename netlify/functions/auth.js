@@ -0,0 +1,45 @@
+// netlify/functions/auth.js
+// Password check for the admin functions.
+// The admin page sends `Authorization: Bearer <password>`.
+// ADMIN_PASSWORD is the shared password of the "admin" user; ADMIN_USERS
+// ("name:password,name:password") gives each admin their own, so the audit
+// log can say who changed what.
+
+const crypto = require('crypto');
+
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+const ADMINS = (process.env.ADMIN_USERS || '').split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const split = pair.indexOf(':');
+    return { name: pair.slice(0, split).trim(), password: pair.slice(split + 1) };
+}).filter(admin => admin.name && admin.password);
+if (ADMIN_PASSWORD) ADMINS.push({ name: 'admin', password: ADMIN_PASSWORD });
+
+function safeEqual(a, b) {
+    const ha = crypto.createHash('sha256').update(String(a)).digest();
+    const hb = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Name of the admin whose password the request carries, or null.
+ * Always null when no admin password is configured.
+ */
+function adminUser(event) {
+    const headers = event.headers || {};
+    const header = headers.authorization || headers.Authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return null;
+    // Check every password, so timing doesn't tell which one was close
+    const admin = ADMINS.filter(candidate => safeEqual(match[1], candidate.password))[0];
+    return admin ? admin.name : null;
+}
+
+/**
+ * True if the request carries an admin password.
+ */
+function isAdmin(event) {
+    return adminUser(event) !== null;
+}
+
+module.exports = { adminUser, isAdmin, safeEqual };
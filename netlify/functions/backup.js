@@ -0,0 +1,291 @@
+// netlify/functions/backup.js
+// Snapshot export and restore of a gallery, to roll back after a bad sync or
+// a wrong edit. Admin only (see auth.js).
+// GET  /.netlify/functions/backup?gallery=<id>&format=json|csv   → download a snapshot
+//      add &source=pre-restore for what the last restore replaced
+// POST /.netlify/functions/backup { gallery, format: 'json'|'csv', snapshot }
+//      → replace the gallery's entries with the snapshot (JSON object or CSV text)
+//
+// JSON snapshots hold the entries as stored plus the recorded votes (votes.js),
+// so restoring one is exact. CSV has one row per entry with the fields people
+// look at or fix by hand, including likes and image URLs; restoring it keeps
+// whatever else the matching current entry holds (variants, reactions,
+// comments) and adjusts the recorded likes to the CSV counts.
+// Either kind is checked before anything is written: it must be of the gallery
+// it is restored into (JSON `gallery`, CSV `gallery` column), every status must
+// be one of STATUS with hidden/pinned booleans (CSV: "true", "false" or empty),
+// and images must be a list of { type, url } with a known media type.
+// A restore first saves the entries it replaces as the `pre-restore` snapshot,
+// then swaps in the restored ones only if nothing changed in between. It takes
+// restored submissions off the deleted list and is audit-logged.
+
+const { createStore, ConflictError } = require('./storage');
+const { adminUser } = require('./auth');
+const { STATUS, galleryKey, entriesKey, deletedKey, touch } = require('./entries');
+const { getGallery } = require('./config');
+const { readVotes, withCounts, recountLikes, alignLikes, replaceVotes } = require('./votes');
+const { recordAudit } = require('./auditLog');
+
+const SNAPSHOT_VERSION = 1;
+const CSV_COLUMNS = ['gallery', 'submissionId', 'name', 'author', 'caption', 'category', 'status', 'hidden', 'pinned', 'likes', 'timestamp', 'formId', 'mediaType', 'imageUrl', 'images'];
+const FLAG_COLUMNS = ['hidden', 'pinned'];
+const MEDIA_TYPES = ['image', 'gif', 'video'];
+const MAX_ATTEMPTS = 4;
+const isUrl = (value) => typeof value === 'string' && /^(https?:\/\/|\/)/.test(value);
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+};
+
+const STATUSES = Object.values(STATUS);
+
+class SnapshotError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SnapshotError';
+    }
+}
+
+const preRestoreKey = (galleryId) => galleryKey(galleryId, 'pre-restore');
+
+function respond(statusCode, payload) {
+    return { statusCode, headers: CORS_HEADERS, body: JSON.stringify(payload) };
+}
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+// Cells starting with = + - @ get a leading ' so spreadsheets don't run them as
+// formulas; parsing drops it again.
+
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries, galleryId) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+        if (column === 'gallery') return csvCell(galleryId);
+        if (column === 'images') return csvCell(entry.images ? JSON.stringify(entry.images) : '');
+        if (column === 'likes') return csvCell(entry.likes || 0);
+        if (FLAG_COLUMNS.includes(column)) return csvCell(entry[column] ? 'true' : '');
+        return csvCell(entry[column]);
+    }).join(','));
+    return '\ufeff' + [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = String(text).replace(/^\ufeff/, '');
+    for (let i = 0; i < input.length; i++) {
+        const c = input[i];
+        if (quoted) {
+            if (c === '"' && input[i + 1] === '"') { cell += '"'; i++; } else if (c === '"') quoted = false; else cell += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(cell); cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else {
+            cell += c;
+        }
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    const [header, ...body] = rows.filter(r => r.some(value => value !== ''));
+    if (!header || !header.includes('submissionId')) throw new SnapshotError('CSV needs a header row with submissionId');
+    const unescape = (value) => (/^'[=+\-@]/.test(value) ? value.slice(1) : value);
+    return body.map(values => Object.fromEntries(header.map((column, i) => [column.trim(), unescape(values[i] || '')])));
+}
+
+// Spreadsheets write booleans as TRUE/FALSE
+function csvFlag(value, column, id) {
+    const flag = value.trim().toLowerCase();
+    if (flag === 'true') return true;
+    if (flag === '' || flag === 'false') return false;
+    throw new SnapshotError(`CSV ${column} of ${id} must be true, false or empty, not "${value}"`);
+}
+
+// Entry for a CSV row, on top of the current entry with that id (if any)
+function entryFromRow(row, current = {}) {
+    const entry = { ...current, submissionId: row.submissionId };
+    CSV_COLUMNS.forEach(column => {
+        if (!(column in row) || ['gallery', 'submissionId', 'images'].includes(column)) return;
+        const value = row[column];
+        if (column === 'likes') entry.likes = parseInt(value, 10) || 0;
+        else if (FLAG_COLUMNS.includes(column)) { if (csvFlag(value, column, row.submissionId)) entry[column] = true; else delete entry[column]; } else if (value) entry[column] = value;
+        else delete entry[column];
+    });
+    if (row.images) {
+        try {
+            entry.images = JSON.parse(row.images);
+        } catch (e) {
+            throw new SnapshotError(`CSV images of ${row.submissionId} are not valid JSON`);
+        }
+    } else if (entry.imageUrl && (!entry.images || !entry.images.length || entry.images[0].url !== entry.imageUrl)) {
+        entry.images = [{ type: entry.mediaType || 'image', url: entry.imageUrl }];
+    }
+    return entry;
+}
+
+// ── Snapshots ─────────────────────────────────────────────────────────────────
+
+/**
+ * Throw a SnapshotError unless the entry's moderation fields are well-formed;
+ * the admin page renders them.
+ */
+function checkEntry(entry) {
+    if (entry.status !== undefined && !STATUSES.includes(entry.status)) {
+        throw new SnapshotError(`Status of ${entry.submissionId} must be one of ${STATUSES.join(', ')}, not "${entry.status}"`);
+    }
+    FLAG_COLUMNS.forEach(flag => {
+        if (entry[flag] !== undefined && typeof entry[flag] !== 'boolean') {
+            throw new SnapshotError(`${flag} of ${entry.submissionId} must be true or false`);
+        }
+    });
+    if (entry.imageUrl !== undefined && !isUrl(entry.imageUrl)) {
+        throw new SnapshotError(`imageUrl of ${entry.submissionId} must be an http(s) URL`);
+    }
+    if (entry.mediaType !== undefined && !MEDIA_TYPES.includes(entry.mediaType)) {
+        throw new SnapshotError(`mediaType of ${entry.submissionId} must be one of ${MEDIA_TYPES.join(', ')}`);
+    }
+    const images = entry.images === undefined ? [] : entry.images;
+    if (!Array.isArray(images) || images.some(item => !item || typeof item !== 'object' || !isUrl(item.url) || !MEDIA_TYPES.includes(item.type))) {
+        throw new SnapshotError(`images of ${entry.submissionId} must be a list of { type: ${MEDIA_TYPES.join('|')}, url }`);
+    }
+    return entry;
+}
+
+/**
+ * Entries the snapshot restores into `galleryId`, given the current entries.
+ */
+function restoredEntries(format, snapshot, current, galleryId) {
+    if (format === 'csv') {
+        const byId = new Map(current.map(e => [e.submissionId, e]));
+        return parseCsv(snapshot).map(row => {
+            if (!row.submissionId) throw new SnapshotError('Every CSV row needs a submissionId');
+            if (row.gallery !== galleryId) {
+                throw new SnapshotError(`CSV row ${row.submissionId} is of gallery "${row.gallery || ''}", not "${galleryId}"`);
+            }
+            return checkEntry(entryFromRow(row, byId.get(row.submissionId)));
+        });
+    }
+    if (!snapshot || snapshot.gallery !== galleryId) {
+        throw new SnapshotError(`Snapshot is of gallery "${snapshot && snapshot.gallery}", not "${galleryId}"`);
+    }
+    const entries = snapshot.entries;
+    if (!Array.isArray(entries) || entries.some(e => !e || typeof e !== 'object' || typeof e.submissionId !== 'string' || !e.submissionId)) {
+        throw new SnapshotError('Snapshot must have an entries array, each with a submissionId');
+    }
+    if (snapshot.votes !== undefined && (!snapshot.votes || typeof snapshot.votes !== 'object' || Array.isArray(snapshot.votes))) {
+        throw new SnapshotError('Snapshot votes must be an object');
+    }
+    return JSON.parse(JSON.stringify(entries)).map(checkEntry);
+}
+
+async function exportSnapshot(store, gallery, format, source) {
+    let entries;
+    let votes;
+    if (source === 'pre-restore') {
+        const { data } = await store.read(preRestoreKey(gallery.id), null);
+        if (!data) return respond(404, { error: 'No restore has been made yet' });
+        ({ entries, votes } = data);
+    } else {
+        ({ data: entries } = await store.read(entriesKey(gallery.id), []));
+        ({ votes } = await readVotes(store, gallery.id, entries.map(e => e.submissionId)));
+    }
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const filename = `${gallery.id}-${source === 'pre-restore' ? 'pre-restore' : stamp}.${format}`;
+    const headers = { ...CORS_HEADERS, 'Content-Disposition': `attachment; filename="${filename}"` };
+    if (format === 'csv') {
+        return { statusCode: 200, headers: { ...headers, 'Content-Type': 'text/csv; charset=utf-8' }, body: toCsv(withCounts(entries, votes), gallery.id) };
+    }
+    const snapshot = { version: SNAPSHOT_VERSION, gallery: gallery.id, exportedAt: new Date().toISOString(), entries, votes };
+    return { statusCode: 200, headers, body: JSON.stringify(snapshot, null, 2) };
+}
+
+async function restoreSnapshot(store, gallery, format, snapshot, by) {
+    const key = entriesKey(gallery.id);
+    let replaced;
+    let restored;
+    // Save what gets replaced before replacing it, and only replace that version
+    for (let attempt = 1; ; attempt++) {
+        const { data: current, version } = await store.read(key, []);
+        const { votes } = await readVotes(store, gallery.id, current.map(e => e.submissionId));
+        replaced = current;
+        restored = restoredEntries(format, snapshot, current, gallery.id).map(touch);
+        await store.update(preRestoreKey(gallery.id), () => ({ savedAt: new Date().toISOString(), by, entries: replaced, votes }), { fallback: null });
+        try {
+            await store.write(key, restored, version);
+            break;
+        } catch (err) {
+            if (!(err instanceof ConflictError) || attempt >= MAX_ATTEMPTS) throw err;
+        }
+    }
+
+    if (format === 'json' && snapshot.votes) {
+        await replaceVotes(store, gallery.id, [...replaced, ...restored].map(e => e.submissionId), snapshot.votes);
+        await recountLikes(store, gallery.id);
+    } else {
+        await alignLikes(store, gallery.id, restored);
+    }
+
+    const ids = new Set(restored.map(e => e.submissionId));
+    await store.update(deletedKey(gallery.id), (deleted) => {
+        const back = Object.keys(deleted).filter(id => ids.has(id));
+        back.forEach(id => { delete deleted[id]; });
+        return back.length ? deleted : undefined;
+    }, { fallback: {} });
+
+    const removed = replaced.filter(e => !ids.has(e.submissionId)).length;
+    await recordAudit(store, gallery.id, { by, action: 'restore', ids: [...ids], details: { format, restored: restored.length, removed } });
+    return { restored: restored.length, removed };
+}
+
+exports.handler = async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+    }
+
+    const by = adminUser(event);
+    if (!by) {
+        return respond(401, { error: 'Unauthorized' });
+    }
+
+    try {
+        const store = createStore(event);
+        const params = event.queryStringParameters || {};
+        const body = event.httpMethod === 'POST' ? JSON.parse(event.body || '{}') : {};
+        const gallery = getGallery(body.gallery || params.gallery);
+        if (!gallery) return respond(404, { error: 'Unknown gallery' });
+        const format = body.format || params.format || 'json';
+        if (format !== 'json' && format !== 'csv') return respond(400, { error: 'format must be json or csv' });
+
+        if (event.httpMethod === 'GET') {
+            return await exportSnapshot(store, gallery, format, params.source);
+        }
+        if (event.httpMethod !== 'POST') {
+            return { statusCode: 405, headers: CORS_HEADERS, body: 'Method Not Allowed' };
+        }
+
+        let result;
+        try {
+            result = await restoreSnapshot(store, gallery, format, body.snapshot, by);
+        } catch (err) {
+            if (err instanceof SnapshotError || err instanceof SyntaxError) return respond(400, { error: err.message });
+            throw err;
+        }
+        return respond(200, { success: true, ...result });
+    } catch (err) {
+        console.error('Backup error:', err);
+        return respond(500, { error: err.message });
+    }
+};
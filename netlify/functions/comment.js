@@ -0,0 +1,174 @@
+// netlify/functions/comment.js
+// One-line comments on a meme, shown on its card once approved.
+// POST /.netlify/functions/comment { gallery, submissionId, text, token }
+//   → { success, comment: { id, status } }
+// `token` comes from voter.js. Comments are single lines of up to MAX_LENGTH
+// characters, rate limited per IP (COMMENT_RATE_LIMIT per minute), and start
+// `pending` unless AUTO_APPROVE_COMMENTS=true.
+// An entry holds at most MAX_COMMENTS: rejected ones make room first, and once
+// MAX_PENDING wait for moderation (or the rest are approved) new ones get a 409,
+// so a burst of spam never pushes out approved comments.
+//
+// Admin (Authorization: Bearer <admin password>, see auth.js):
+// GET  /.netlify/functions/comment?gallery=<id>&status=pending → [{ submissionId, name, comment }]
+// POST /.netlify/functions/comment { gallery, action, comments: [{ submissionId, id }] }
+//   → approve | reject | delete
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { adminUser } = require('./auth');
+const { STATUS, entriesKey, isPublic, touch } = require('./entries');
+const { getGallery } = require('./config');
+const { verifyVoterToken } = require('./votes');
+const { hitRateLimit } = require('./rateLimit');
+const { recordAudit } = require('./auditLog');
+
+const MAX_LENGTH = 140;
+const MAX_COMMENTS = 200; // per entry
+const MAX_PENDING = 50;
+const COMMENT_LIMIT = parseInt(process.env.COMMENT_RATE_LIMIT || '10', 10);
+const COMMENT_WINDOW_MS = 60 * 1000;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+};
+
+const ACTIONS = {
+    approve: (comment) => { comment.status = STATUS.APPROVED; return comment; },
+    reject: (comment) => { comment.status = STATUS.REJECTED; return comment; },
+    delete: () => null,
+};
+
+function respond(statusCode, payload, headers = {}) {
+    return { statusCode, headers: { ...CORS_HEADERS, ...headers }, body: JSON.stringify(payload) };
+}
+
+async function adminRequest(event, store, gallery, body) {
+    const by = adminUser(event);
+    if (!by) return respond(401, { error: 'Unauthorized' });
+    const key = entriesKey(gallery.id);
+
+    if (event.httpMethod === 'GET') {
+        const wanted = (event.queryStringParameters || {}).status || STATUS.PENDING;
+        const { data } = await store.read(key, []);
+        const comments = [];
+        data.forEach(entry => (entry.comments || []).forEach(comment => {
+            if (wanted === 'all' || comment.status === wanted) {
+                comments.push({ submissionId: entry.submissionId, name: entry.name, comment });
+            }
+        }));
+        return respond(200, { comments });
+    }
+
+    const apply = ACTIONS[body.action];
+    if (!apply) return respond(400, { error: `Unknown action: ${body.action}` });
+    const targets = new Set((body.comments || []).map(({ submissionId, id }) => `${submissionId}/${id}`));
+    let count = 0;
+    await store.update(key, (entries) => {
+        count = 0;
+        entries.forEach(entry => {
+            if (!entry.comments) return;
+            const before = count;
+            entry.comments = entry.comments
+                .map(comment => (targets.has(`${entry.submissionId}/${comment.id}`) ? (count++, apply(comment)) : comment))
+                .filter(Boolean);
+            if (count > before) touch(entry);
+        });
+        return count ? entries : undefined;
+    }, { fallback: [] });
+    if (count) {
+        const ids = [...new Set((body.comments || []).map(c => c.submissionId))];
+        await recordAudit(store, gallery.id, { by, action: `comment-${body.action}`, ids, details: { comments: body.comments } });
+    }
+    return respond(200, { success: true, count });
+}
+
+/**
+ * Add a comment to an entry, dropping the oldest rejected ones if it is full.
+ * Returns why the comment was refused, or null.
+ */
+function addComment(entry, comment) {
+    const comments = [...(entry.comments || [])];
+    if (comment.status === STATUS.PENDING && comments.filter(c => c.status === STATUS.PENDING).length >= MAX_PENDING) {
+        return 'Too many comments are waiting for moderation';
+    }
+    while (comments.length >= MAX_COMMENTS) {
+        const rejected = comments.findIndex(c => c.status === STATUS.REJECTED);
+        if (rejected === -1) return 'This meme has reached its comment limit';
+        comments.splice(rejected, 1);
+    }
+    entry.comments = [...comments, comment];
+    return null;
+}
+
+exports.handler = async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+        return { statusCode: 405, headers: CORS_HEADERS, body: 'Method Not Allowed' };
+    }
+
+    try {
+        const params = event.queryStringParameters || {};
+        const body = event.httpMethod === 'POST' ? JSON.parse(event.body || '{}') : {};
+        const gallery = getGallery(body.gallery || params.gallery);
+        if (!gallery) {
+            return respond(404, { error: 'Unknown gallery' });
+        }
+        const store = createStore(event);
+        if (event.httpMethod === 'GET' || body.action) {
+            return await adminRequest(event, store, gallery, body);
+        }
+
+        const { submissionId, token } = body;
+        const text = String(body.text || '').replace(/\s+/g, ' ').trim();
+        if (!submissionId || !text) {
+            return respond(400, { error: 'submissionId and text are required' });
+        }
+        if (text.length > MAX_LENGTH) {
+            return respond(400, { error: `Comments are limited to ${MAX_LENGTH} characters` });
+        }
+        const voterId = await verifyVoterToken(store, token);
+        if (!voterId) {
+            return respond(401, { error: 'Invalid voter token' });
+        }
+
+        const rate = await hitRateLimit(event, 'comment', { limit: COMMENT_LIMIT, windowMs: COMMENT_WINDOW_MS });
+        if (rate.limited) {
+            return respond(429, { error: 'Too many requests' }, { 'Retry-After': String(rate.retryAfter) });
+        }
+
+        const comment = {
+            id: crypto.randomBytes(6).toString('hex'),
+            text,
+            voter: voterId,
+            createdAt: new Date().toISOString(),
+            status: process.env.AUTO_APPROVE_COMMENTS === 'true' ? STATUS.APPROVED : STATUS.PENDING,
+        };
+        let refused = null;
+        await store.update(entriesKey(gallery.id), (entries) => {
+            const target = entries.find(s => s.submissionId === submissionId && isPublic(s));
+            refused = target ? addComment(target, comment) : 'missing';
+            if (refused) return undefined;
+            touch(target);
+            return entries;
+        }, { fallback: [] });
+
+        if (refused === 'missing') {
+            return respond(404, { error: 'Submission not found' });
+        }
+        if (refused) {
+            return respond(409, { error: refused });
+        }
+        return respond(200, { success: true, comment: { id: comment.id, status: comment.status } });
+    } catch (err) {
+        console.error('Comment error:', err);
+        return respond(500, { error: err.message });
+    }
+};
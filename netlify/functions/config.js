@@ -0,0 +1,79 @@
+// netlify/functions/config.js
+// Deployment configuration: the galleries (events) served by this deployment,
+// which Jotform forms feed each of them and how their questions map onto stored
+// entries. Defaults live in config.json; set SLIDESHOW_CONFIG to a JSON document
+// with the same shape to override it without a code change.
+//
+// Each gallery has an `id` (used in /e/<id> URLs and the `gallery` parameter),
+// a `title` and a `logo`, and optionally the `formUrl` people submit through
+// (shown as a QR code in kiosk mode; defaults to its first form on Jotform).
+// Requests without a gallery use `defaultGallery`.
+//
+// Each form names the `gallery` it feeds and declares Jotform question
+// *unique names* (Form Builder → question
+// properties → Advanced → Field Details → Unique Name):
+//   title  — the meme title, stored as `name`
+//   upload — the file upload question
+//   fields — optional extras copied onto the entry: author, caption, category
+
+const defaults = require('./config.json');
+const { formUrl } = require('./jotform');
+
+let config = defaults;
+if (process.env.SLIDESHOW_CONFIG) {
+    try { config = JSON.parse(process.env.SLIDESHOW_CONFIG); } catch (e) {
+        console.error('SLIDESHOW_CONFIG is not valid JSON, using config.json:', e.message);
+    }
+}
+
+const galleries = config.galleries || [];
+const DEFAULT_GALLERY = config.defaultGallery || (galleries[0] && galleries[0].id);
+const forms = (config.forms || []).map(form => ({
+    ...form,
+    id: String(form.id),
+    gallery: form.gallery || DEFAULT_GALLERY,
+    fields: form.fields || {},
+}));
+
+/**
+ * All configured galleries.
+ */
+function getGalleries() {
+    return galleries;
+}
+
+/**
+ * The gallery with this id, the default gallery when no id is given, or null
+ * if the id is unknown.
+ */
+function getGallery(galleryId) {
+    const id = galleryId || DEFAULT_GALLERY;
+    return galleries.find(gallery => gallery.id === id) || null;
+}
+
+/**
+ * All configured forms, optionally only those feeding one gallery.
+ */
+function getForms(galleryId) {
+    return galleryId ? forms.filter(form => form.gallery === galleryId) : forms;
+}
+
+/**
+ * The mapping for a form, or null if the form is not configured.
+ */
+function getForm(formId) {
+    return forms.find(form => form.id === String(formId)) || null;
+}
+
+/**
+ * Public link to the form feeding a gallery, or null if it has none.
+ */
+function getFormUrl(galleryId) {
+    const gallery = getGallery(galleryId);
+    if (!gallery) return null;
+    if (gallery.formUrl) return gallery.formUrl;
+    const [form] = getForms(gallery.id);
+    return form ? formUrl(form.id) : null;
+}
+
+module.exports = { DEFAULT_GALLERY, getGalleries, getGallery, getForms, getForm, getFormUrl };
@@ -0,0 +1,132 @@
+// netlify/functions/entries.js
+// Shared helpers for the stored entry model.
+// Entries move through a moderation workflow: new submissions arrive as
+// `pending` (or `approved` when AUTO_APPROVE=true) and only `approved` entries
+// that are not `hidden` reach the public slideshow. Entries stored before the
+// workflow existed have no status and count as approved.
+// Each entry also records a fingerprint of the Jotform answers it was built from
+// (`source`), so edits made on Jotform can be detected and applied in place, and
+// the time of its last change (`updatedAt`), which the slideshow's delta
+// updates are based on.
+// Audience feedback lives on the entry too: `likes` and per-reaction counts in
+// `reactions` (a cache: served counts come from the votes, see votes.js), and
+// `comments`, each with its own moderation status; only approved comments are
+// served publicly.
+
+const crypto = require('crypto');
+const { DEFAULT_GALLERY } = require('./config');
+
+const STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+// Emoji reactions offered on the slideshow cards, by stored name
+const REACTIONS = { laugh: '😂', fire: '🔥', skull: '💀' };
+
+/**
+ * Storage key for one of a gallery's documents. The default gallery keeps
+ * un-prefixed keys so existing deployments keep reading their bin.
+ */
+function galleryKey(galleryId, name) {
+    return !galleryId || galleryId === DEFAULT_GALLERY ? name : `${name}/${galleryId}`;
+}
+
+/**
+ * Storage key holding a gallery's entries.
+ */
+function entriesKey(galleryId) {
+    return galleryKey(galleryId, 'submissions');
+}
+
+/**
+ * Storage key of the submissions an admin deleted ({ [submissionId]: { at, by } }),
+ * which the webhook and the sync must not bring back.
+ */
+function deletedKey(galleryId) {
+    return galleryKey(galleryId, 'deleted');
+}
+
+/**
+ * Status for a freshly ingested entry.
+ */
+function initialStatus() {
+    return process.env.AUTO_APPROVE === 'true' ? STATUS.APPROVED : STATUS.PENDING;
+}
+
+function statusOf(entry) {
+    return entry.status || STATUS.APPROVED;
+}
+
+const fingerprint = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+
+/**
+ * Fingerprint of a mapped submission ({ name, extra, files }): one hash for
+ * the text fields and one for the uploaded file list.
+ */
+function sourceOf({ name, extra, files }) {
+    return { fields: fingerprint({ name, extra }), files: fingerprint(files) };
+}
+
+/**
+ * Build a stored entry for a processed submission. `images` is the ordered
+ * media list from processImages(); `imageUrl` and `mediaType` describe the
+ * first item for readers that only know about a single image.
+ */
+function newEntry({ form, submissionId, name, extra, images, timestamp, source }) {
+    return {
+        name,
+        ...extra,
+        imageUrl: images[0].url,
+        mediaType: images[0].type,
+        images,
+        submissionId,
+        formId: form.id,
+        timestamp,
+        likes: 0,
+        status: initialStatus(),
+        source,
+    };
+}
+
+/**
+ * Stamp an entry as changed. Call it inside store.update() mutators, so stamps
+ * follow the order in which writes land.
+ */
+function touch(entry) {
+    entry.updatedAt = new Date().toISOString();
+    return entry;
+}
+
+/**
+ * The entry's ordered media items. Entries stored before multi-file support
+ * only have imageUrl.
+ */
+function mediaItems(entry) {
+    if (entry.images && entry.images.length) return entry.images;
+    return [{ type: entry.mediaType || 'image', url: entry.imageUrl }];
+}
+
+/**
+ * True if the entry may be shown on the public slideshow.
+ */
+function isPublic(entry) {
+    return Boolean(entry && entry.imageUrl && statusOf(entry) === STATUS.APPROVED && !entry.hidden);
+}
+
+/**
+ * The entry as served to the public slideshow: approved comments only, without
+ * who wrote them.
+ */
+function publicView(entry) {
+    if (!entry.comments) return entry;
+    const comments = entry.comments
+        .filter(comment => comment.status === STATUS.APPROVED)
+        .map(({ id, text, createdAt }) => ({ id, text, createdAt }));
+    return { ...entry, comments };
+}
+
+module.exports = {
+    STATUS, REACTIONS, galleryKey, entriesKey, deletedKey, initialStatus, statusOf, sourceOf, newEntry, touch, mediaItems, isPublic, publicView,
+};
@@ -0,0 +1,68 @@
+// netlify/functions/forms.js
+// Maps Jotform answers onto entry fields using the per-form config (config.js).
+// Both ingest paths share it:
+//   - webhook: `rawRequest` keys look like `q3_nomePagina`, uploads use the bare unique name
+//   - API:     `answers` are keyed by question id and carry { name, type, answer }
+
+const EXTRA_FIELDS = ['author', 'caption', 'category'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Full-name and address answers are objects; join their parts
+function textValue(value) {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value)) return textValue(value.map(textValue).filter(Boolean).join(', '));
+    if (typeof value === 'object') return textValue(Object.values(value).map(textValue).filter(Boolean).join(' '));
+    const text = String(value).trim();
+    return text || null;
+}
+
+function fileList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list.filter(url => typeof url === 'string' && url.trim()).map(url => url.trim());
+}
+
+function mapAnswers(form, lookup) {
+    const extra = {};
+    EXTRA_FIELDS.forEach(field => {
+        const question = form.fields[field];
+        const value = question ? textValue(lookup(question)) : null;
+        if (value) extra[field] = value;
+    });
+    return { name: textValue(lookup(form.title)), files: fileList(lookup(form.upload)), extra };
+}
+
+function rawValue(raw, question) {
+    if (raw[question] !== undefined) return raw[question];
+    const pattern = new RegExp(`^q\\d+_${escapeRegExp(question)}$`);
+    const key = Object.keys(raw).find(k => pattern.test(k));
+    return key ? raw[key] : undefined;
+}
+
+/**
+ * Map a webhook payload. Returns { name, files, extra }.
+ */
+function fromWebhook(form, fields) {
+    let raw = {};
+    if (fields.rawRequest) { try { raw = JSON.parse(fields.rawRequest); } catch (e) { } }
+    return mapAnswers(form, (question) => {
+        const value = rawValue(raw, question);
+        return value !== undefined ? value : rawValue(fields, question);
+    });
+}
+
+/**
+ * Map a submission from the Jotform API. Returns { name, files, extra }.
+ */
+function fromApi(form, submission) {
+    const answers = Object.values(submission.answers || {});
+    return mapAnswers(form, (question) => {
+        const answer = answers.find(ans => ans.name === question);
+        return answer ? answer.answer : undefined;
+    });
+}
+
+module.exports = { EXTRA_FIELDS, fromWebhook, fromApi };
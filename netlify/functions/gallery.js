@@ -0,0 +1,37 @@
+// netlify/functions/gallery.js
+// Public gallery (event) settings for the slideshow page.
+// GET /.netlify/functions/gallery?gallery=<id>   (default gallery when omitted)
+
+const { getGallery, getGalleries, getFormUrl } = require('./config');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'public, max-age=300',
+};
+
+const publicFields = ({ id, title, subtitle, logo }) => ({ id, title, subtitle, logo, formUrl: getFormUrl(id) });
+
+exports.handler = async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+    }
+
+    if (event.httpMethod !== 'GET') {
+        return { statusCode: 405, headers: CORS_HEADERS, body: 'Method Not Allowed' };
+    }
+
+    const params = event.queryStringParameters || {};
+    const gallery = getGallery(params.gallery);
+    if (!gallery) {
+        return { statusCode: 404, headers: CORS_HEADERS, body: JSON.stringify({ error: 'Unknown gallery' }) };
+    }
+
+    return {
+        statusCode: 200,
+        headers: CORS_HEADERS,
+        body: JSON.stringify({ gallery: publicFields(gallery), galleries: getGalleries().map(publicFields) }),
+    };
+};
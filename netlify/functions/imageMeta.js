@@ -0,0 +1,242 @@
+// netlify/functions/imageMeta.js
+// Image container parsing that doesn't decode pixels: dimensions from the
+// headers, the EXIF orientation, and stripping metadata (EXIF with the phone's
+// GPS position, XMP, IPTC, comments) before a file is uploaded.
+// Handles JPEG, PNG, GIF and WebP; anything else is returned untouched.
+// Structures that run past the end of the file, or don't parse at all, throw a
+// CorruptImageError.
+
+// JPEG APPn segments worth keeping: APP0 (JFIF), APP2 (ICC colour profile),
+// APP14 (Adobe colour transform). The rest, and comments, go.
+const JPEG_KEEP = new Set([0xe0, 0xe2, 0xee]);
+const PNG_DROP = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+const WEBP_DROP = new Set(['EXIF', 'XMP ']);
+// GIF application extensions that control playback rather than describe the file
+const GIF_KEEP_APPS = ['NETSCAPE2.0', 'ANIMEXTS1.0'];
+
+class CorruptImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CorruptImageError';
+    }
+}
+
+const ascii = (buffer, start, end) => buffer.slice(start, end).toString('latin1');
+
+function checkEnd(buffer, end, what) {
+    if (end > buffer.length) throw new CorruptImageError(`Truncated ${what} (needs ${end} bytes, file has ${buffer.length})`);
+    return end;
+}
+
+// ── JPEG ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Marker segments before the scan data: [{ marker, start, end }], plus the
+ * offset where the scan (SOS) begins.
+ */
+function jpegSegments(buffer) {
+    const segments = [];
+    let i = 2;
+    for (; ;) {
+        checkEnd(buffer, i + 4, 'JPEG segment');
+        if (buffer[i] !== 0xff) throw new CorruptImageError(`Corrupt JPEG marker at ${i}`);
+        const marker = buffer[i + 1];
+        if (marker === 0xff) { i++; continue; } // fill byte
+        if (marker === 0xda) break;
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) { i += 2; continue; }
+        const end = checkEnd(buffer, i + 2 + buffer.readUInt16BE(i + 2), 'JPEG segment');
+        segments.push({ marker, start: i, end });
+        i = end;
+    }
+    return { segments, scan: i };
+}
+
+const isSof = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+// ── PNG / WebP chunks ─────────────────────────────────────────────────────────
+
+function pngChunks(buffer) {
+    const chunks = [];
+    let i = 8;
+    while (i < buffer.length) {
+        checkEnd(buffer, i + 12, 'PNG chunk');
+        const end = checkEnd(buffer, i + 12 + buffer.readUInt32BE(i), 'PNG chunk');
+        chunks.push({ type: ascii(buffer, i + 4, i + 8), start: i, end });
+        i = end;
+    }
+    return chunks;
+}
+
+function webpChunks(buffer) {
+    const chunks = [];
+    let i = 12;
+    while (i < buffer.length) {
+        checkEnd(buffer, i + 8, 'WebP chunk');
+        const size = buffer.readUInt32LE(i + 4);
+        // Some encoders leave out the padding byte of the last chunk
+        checkEnd(buffer, i + 8 + size, 'WebP chunk');
+        const end = Math.min(i + 8 + size + (size % 2), buffer.length);
+        chunks.push({ type: ascii(buffer, i, i + 4), start: i, end });
+        i = end;
+    }
+    return chunks;
+}
+
+// ── GIF blocks ────────────────────────────────────────────────────────────────
+
+/**
+ * End of the data sub-blocks starting at `i`.
+ */
+function skipSubBlocks(buffer, i) {
+    while (i < buffer.length && buffer[i] !== 0) i += buffer[i] + 1;
+    return checkEnd(buffer, i + 1, 'GIF data');
+}
+
+function gifBlocks(buffer) {
+    checkEnd(buffer, 13, 'GIF header');
+    const flags = buffer[10];
+    let i = checkEnd(buffer, 13 + (flags & 0x80 ? 3 * 2 ** ((flags & 7) + 1) : 0), 'GIF colour table');
+    const header = i;
+    const blocks = [];
+    for (; ;) {
+        checkEnd(buffer, i + 1, 'GIF (no trailer)');
+        if (buffer[i] === 0x3b) break;
+        const start = i;
+        if (buffer[i] === 0x21) {
+            const label = buffer[i + 1];
+            const app = label === 0xff ? ascii(buffer, i + 3, i + 14) : null;
+            i = skipSubBlocks(buffer, i + 2);
+            blocks.push({ label, app, start, end: i });
+        } else if (buffer[i] === 0x2c) {
+            checkEnd(buffer, i + 10, 'GIF image');
+            const local = buffer[i + 9];
+            i = checkEnd(buffer, i + 10 + (local & 0x80 ? 3 * 2 ** ((local & 7) + 1) : 0), 'GIF colour table');
+            i = skipSubBlocks(buffer, i + 1);
+            blocks.push({ label: 0x2c, start, end: i });
+        } else {
+            throw new CorruptImageError(`Corrupt GIF block at ${i}`);
+        }
+    }
+    return { header, blocks, trailer: i };
+}
+
+// ── EXIF ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Orientation tag (1-8) of a TIFF-structured EXIF block; 1 when missing.
+ */
+function tiffOrientation(tiff) {
+    if (tiff.length < 8) return 1;
+    const order = ascii(tiff, 0, 2);
+    if (order !== 'II' && order !== 'MM') return 1;
+    const u16 = (at) => (order === 'II' ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+    const u32 = (at) => (order === 'II' ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+    const ifd = u32(4);
+    if (ifd + 2 > tiff.length) return 1;
+    const count = u16(ifd);
+    for (let n = 0; n < count; n++) {
+        const entry = ifd + 2 + n * 12;
+        if (entry + 12 > tiff.length) break;
+        if (u16(entry) === 0x0112) {
+            const value = u16(entry + 8);
+            return value >= 1 && value <= 8 ? value : 1;
+        }
+    }
+    return 1;
+}
+
+/**
+ * EXIF orientation of a JPEG or PNG (1 = as stored, 2-8 = flipped/rotated).
+ */
+function orientation(buffer, contentType) {
+    try {
+        if (contentType === 'image/jpeg') {
+            const exif = jpegSegments(buffer).segments.find(s => s.marker === 0xe1 && ascii(buffer, s.start + 4, s.start + 10) === 'Exif\0\0');
+            return exif ? tiffOrientation(buffer.slice(exif.start + 10, exif.end)) : 1;
+        }
+        if (contentType === 'image/png') {
+            const exif = pngChunks(buffer).find(c => c.type === 'eXIf');
+            return exif ? tiffOrientation(buffer.slice(exif.start + 8, exif.end - 4)) : 1;
+        }
+    } catch (e) {
+        console.warn(`Cannot read EXIF orientation: ${e.message}`);
+    }
+    return 1;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Pixel size from the file headers: { width, height }, or null when unknown.
+ */
+function dimensions(buffer, contentType) {
+    try {
+        if (contentType === 'image/png') return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        if (contentType === 'image/gif') return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        if (contentType === 'image/jpeg') {
+            const sof = jpegSegments(buffer).segments.find(s => isSof(s.marker));
+            return sof ? { width: buffer.readUInt16BE(sof.start + 7), height: buffer.readUInt16BE(sof.start + 5) } : null;
+        }
+        if (contentType === 'image/webp') {
+            const format = ascii(buffer, 12, 16);
+            if (format === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+            if (format === 'VP8L') {
+                const bits = buffer.readUInt32LE(21);
+                return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+            }
+            if (format === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+    } catch (e) {
+        console.warn(`Cannot read ${contentType} dimensions: ${e.message}`);
+    }
+    return null;
+}
+
+/**
+ * Copy of the file without descriptive metadata. Pixel data is untouched, so
+ * this does not apply the EXIF orientation (see imageUtils.js).
+ * Throws a CorruptImageError when the file doesn't parse.
+ */
+function stripMetadata(buffer, contentType) {
+    try {
+        return strip(buffer, contentType);
+    } catch (err) {
+        if (err instanceof CorruptImageError) throw err;
+        // Reads past the end (RangeError) and the like
+        throw new CorruptImageError(`Cannot parse ${contentType}: ${err.message}`);
+    }
+}
+
+function strip(buffer, contentType) {
+    if (contentType === 'image/jpeg') {
+        const { segments, scan } = jpegSegments(buffer);
+        const kept = segments.filter(s => !((s.marker >= 0xe0 && s.marker <= 0xef && !JPEG_KEEP.has(s.marker)) || s.marker === 0xfe));
+        if (kept.length === segments.length) return buffer;
+        return Buffer.concat([buffer.slice(0, 2), ...kept.map(s => buffer.slice(s.start, s.end)), buffer.slice(scan)]);
+    }
+    if (contentType === 'image/png') {
+        const chunks = pngChunks(buffer);
+        const kept = chunks.filter(c => !PNG_DROP.has(c.type));
+        if (kept.length === chunks.length) return buffer;
+        return Buffer.concat([buffer.slice(0, 8), ...kept.map(c => buffer.slice(c.start, c.end))]);
+    }
+    if (contentType === 'image/gif') {
+        const { header, blocks, trailer } = gifBlocks(buffer);
+        const kept = blocks.filter(b => b.label !== 0xfe && !(b.label === 0xff && !GIF_KEEP_APPS.includes(b.app)));
+        if (kept.length === blocks.length) return buffer;
+        return Buffer.concat([buffer.slice(0, header), ...kept.map(b => buffer.slice(b.start, b.end)), buffer.slice(trailer)]);
+    }
+    if (contentType === 'image/webp') {
+        const chunks = webpChunks(buffer);
+        const kept = chunks.filter(c => !WEBP_DROP.has(c.type));
+        if (kept.length === chunks.length) return buffer;
+        const out = Buffer.concat([buffer.slice(0, 12), ...kept.map(c => buffer.slice(c.start, c.end))]);
+        out.writeUInt32LE(out.length - 8, 4);
+        // VP8X flags say which optional chunks exist: clear EXIF (0x08) and XMP (0x04)
+        if (ascii(out, 12, 16) === 'VP8X') out[20] &= ~0x0c;
+        return out;
+    }
+    return buffer;
+}
+
+module.exports = { CorruptImageError, dimensions, orientation, stripMetadata };
@@ -1,51 +1,257 @@
 // netlify/functions/imageUtils.js
-// Shared utilities: authenticated Jotform download + imgbb upload
+// Shared utilities: authenticated Jotform download + upload to a public host
 // NOTE: No native image processing libraries (sharp incompatible with NFT bundler).
-// Images are uploaded as-is to imgbb which serves them via CDN.
+// Images (including animated GIFs) keep their format and go through the configured
+// upload provider (imgbb by default, see uploads.js); videos go to a provider
+// that can host them.
+// Every decodable image also gets a small thumbnail, a display-size variant and an
+// inline blur placeholder (pure-JS codecs, see raster.js).
+// Originals are keyed by content hash: a file that was processed before is
+// never uploaded again, unless an older pipeline handled it (PROCESSING_VERSION).
+// Downloads are checked before anything is stored: the file bytes decide the
+// type (not the Content-Type Jotform serves), sizes are capped per type
+// (MAX_IMAGE_BYTES, MAX_VIDEO_BYTES) and images per side (MAX_IMAGE_DIMENSION);
+// an image must also fit what its provider can serve (see uploads.js).
+// Images are published without their metadata (EXIF with GPS position, XMP,
+// comments; see imageMeta.js) and turned upright when EXIF says they are
+// rotated. Videos are stored as uploaded.
 
 const fetch = require('node-fetch');
+const { GifReader } = require('omggif');
+const raster = require('./raster');
+const imageMeta = require('./imageMeta');
+const { sha256, providerFor, storeFile, findProcessed, rememberProcessed } = require('./uploads');
 
 const JOTFORM_API_KEY = process.env.JOTFORM_API_KEY;
-const IMGBB_API_KEY = process.env.IMGBB_API_KEY;
+const MAX_VIDEO_BYTES = parseInt(process.env.MAX_VIDEO_BYTES || String(25 * 1024 * 1024), 10);
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES || String(10 * 1024 * 1024), 10);
+// Longest side in pixels. The default keeps accepted images within raster.js's
+// decode limit, so they can always be turned upright and get variants.
+const MAX_IMAGE_DIMENSION = parseInt(process.env.MAX_IMAGE_DIMENSION || '6000', 10);
+const MAX_DOWNLOAD_BYTES = Math.max(MAX_IMAGE_BYTES, MAX_VIDEO_BYTES);
+// Version of the items processImage builds, kept in the media index. Bump it when
+// the pipeline changes what a stored file or item holds, so older ones are redone.
+//   2: size and dimension checks, metadata stripped, phash
+const PROCESSING_VERSION = 2;
+
+const VIDEO_TYPES = ['video/mp4', 'video/webm'];
+
+// Variant boxes: thumbs cover the 65×85 strip slot at 2×, display fits the
+// 380×520 card at 2×, blur is inlined as a data URI
+const THUMB_BOX = [130, 170];
+const DISPLAY_BOX = [760, 1040];
+const BLUR_WIDTH = 24;
+
+// ftyp brands of still images in an MP4-style container (HEIC, AVIF)
+const IMAGE_BRANDS = ['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1', 'avif', 'avis'];
+
+/**
+ * A file we won't publish (not a supported format, too large). Retrying the
+ * submission won't change that, so the sync gives up on it at once.
+ */
+class RejectedFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RejectedFileError';
+    }
+}
+
+/**
+ * The type of a file from its first bytes (magic numbers), or null when it is
+ * not one of the formats we publish.
+ */
+function sniffContentType(buffer) {
+    const ascii = (start, end) => buffer.slice(start, end).toString('latin1');
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(4, 8) === 'ftyp') return IMAGE_BRANDS.includes(ascii(8, 12)) ? null : 'video/mp4';
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) return 'video/webm';
+    return null;
+}
 
 /**
- * Download an image from Jotform CDN using API key auth.
- * Returns a Buffer.
+ * Download a file from Jotform CDN using API key auth.
+ * Accepts JPEG, PNG, GIF, WebP, mp4 and webm, by their bytes, within the size
+ * limits. Returns { buffer, contentType }; throws RejectedFileError otherwise.
  */
-async function downloadJotformImage(fileUrl) {
+async function downloadJotformFile(fileUrl) {
     const urlWithKey = fileUrl + (fileUrl.includes('?') ? '&' : '?') + 'apiKey=' + JOTFORM_API_KEY;
     const res = await fetch(urlWithKey, {
         headers: { 'User-Agent': 'Mozilla/5.0' },
         redirect: 'follow',
+        size: MAX_DOWNLOAD_BYTES,
     });
-    const ct = res.headers.get('content-type') || '';
-    if (!res.ok || (!ct.startsWith('image/') && ct !== 'application/octet-stream')) {
-        throw new Error(`Jotform CDN returned non-image (${res.status} ${ct})`);
+    const header = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    // An HTML or JSON answer is an error page (e.g. a bad API key), not the upload
+    if (!res.ok || header.startsWith('text/') || header === 'application/json') {
+        throw new Error(`Jotform CDN returned ${res.status} ${header}`);
     }
-    const buf = await res.arrayBuffer();
-    return Buffer.from(buf);
+    const declared = parseInt(res.headers.get('content-length'), 10);
+    if (declared > MAX_DOWNLOAD_BYTES) throw new RejectedFileError(`File too large (${declared} bytes)`);
+    let buffer;
+    try {
+        buffer = Buffer.from(await res.arrayBuffer());
+    } catch (err) {
+        if (err.type === 'max-size') throw new RejectedFileError(`File too large (over ${MAX_DOWNLOAD_BYTES} bytes)`);
+        throw err;
+    }
+    const contentType = sniffContentType(buffer);
+    if (!contentType) throw new RejectedFileError(`Not a supported image or video (served as ${header || 'no type'})`);
+    const limit = VIDEO_TYPES.includes(contentType) ? MAX_VIDEO_BYTES : MAX_IMAGE_BYTES;
+    if (buffer.length > limit) throw new RejectedFileError(`${contentType} too large (${buffer.length} bytes, limit ${limit})`);
+    return { buffer, contentType };
 }
 
 /**
- * Upload image buffer to imgbb. Returns permanent public URL.
+ * Refuse images whose header is unreadable or that are larger than
+ * MAX_IMAGE_DIMENSION on either side.
  */
-async function uploadToImgbb(imageBuffer) {
-    const base64 = imageBuffer.toString('base64');
-    const body = new URLSearchParams();
-    body.append('key', IMGBB_API_KEY);
-    body.append('image', base64);
-    const res = await fetch('https://api.imgbb.com/1/upload', { method: 'POST', body });
-    const json = await res.json();
-    if (!res.ok || !json.success) throw new Error(`imgbb: ${JSON.stringify(json)}`);
-    return json.data.url;
+function checkDimensions(buffer, contentType) {
+    const size = imageMeta.dimensions(buffer, contentType);
+    if (!size || !size.width || !size.height) throw new RejectedFileError(`Unreadable ${contentType} header`);
+    if (Math.max(size.width, size.height) > MAX_IMAGE_DIMENSION) {
+        throw new RejectedFileError(`Image too large (${size.width}×${size.height}, limit ${MAX_IMAGE_DIMENSION} px per side)`);
+    }
 }
 
 /**
- * Full pipeline: download from Jotform → upload to imgbb → return permanent URL.
+ * The image as it gets published: without metadata and, when EXIF says it is
+ * rotated or mirrored, with the pixels turned upright (re-encoded, since the
+ * orientation tag goes with the rest of the metadata). A file that doesn't
+ * parse is a RejectedFileError.
+ */
+function cleanImage(buffer, contentType) {
+    const orientation = imageMeta.orientation(buffer, contentType);
+    if (orientation > 1) {
+        try {
+            const image = raster.orient(raster.decode(buffer, contentType), orientation);
+            return contentType === 'image/png' ? raster.encodePng(image) : raster.encodeJpeg(image, 92);
+        } catch (e) {
+            console.warn(`Cannot apply EXIF orientation ${orientation}: ${e.message}`);
+        }
+    }
+    try {
+        return imageMeta.stripMetadata(buffer, contentType);
+    } catch (err) {
+        if (err instanceof imageMeta.CorruptImageError) throw new RejectedFileError(`Corrupt ${contentType}: ${err.message}`);
+        throw err;
+    }
+}
+
+function isAnimatedGif(buffer) {
+    try { return new GifReader(buffer).numFrames() > 1; } catch (e) { return false; }
+}
+
+/**
+ * Decode an image and render its variants as buffers:
+ *   { width, height, thumb, display, blur, phash }
+ * `display` is null when the original already fits the display box (unless
+ * `forceDisplay`), and the whole result is null when the format cannot be
+ * decoded in pure JS (e.g. WebP) — callers then fall back to the original.
+ * For GIFs the variants are stills of the first frame. `phash` is the
+ * perceptual hash (raster.dhash) ingest.js compares to spot re-posts.
+ */
+function renderVariants(buffer, contentType, { forceDisplay = false } = {}) {
+    let image;
+    try { image = raster.decode(buffer, contentType); } catch (e) {
+        console.warn(`Cannot decode ${contentType} for variants: ${e.message}`);
+        return null;
+    }
+    if (!image) return null;
+
+    const display = raster.resize(image, ...DISPLAY_BOX);
+    const tiny = raster.resize(image, BLUR_WIDTH, BLUR_WIDTH * 4);
+    return {
+        width: image.width,
+        height: image.height,
+        thumb: raster.encodeJpeg(raster.resize(image, ...THUMB_BOX, { cover: true }), 75),
+        display: display !== image || forceDisplay ? raster.encodeJpeg(display, 82) : null,
+        blur: 'data:image/jpeg;base64,' + raster.encodeJpeg(tiny, 50).toString('base64'),
+        phash: raster.dhash(image),
+    };
+}
+
+/**
+ * Upload the variants of an image and merge them into its media item.
+ */
+async function withVariants(item, buffer, contentType) {
+    const isGif = item.type === 'gif';
+    const variants = renderVariants(buffer, contentType, { forceDisplay: isGif });
+    if (!variants) return item;
+    const [thumb, display] = await Promise.all([
+        storeFile(variants.thumb, 'image/jpeg'),
+        variants.display ? storeFile(variants.display, 'image/jpeg') : { url: item.url },
+    ]);
+    const thumbUrl = thumb.url;
+    const displayUrl = display.url;
+    // Animated GIFs keep playing the original; their display-size still is the poster
+    const still = isGif ? { poster: displayUrl } : { displayUrl };
+    return { ...item, ...still, thumbUrl, blur: variants.blur, width: variants.width, height: variants.height, phash: variants.phash };
+}
+
+/**
+ * Full pipeline: download from Jotform → check → clean → upload through the
+ * provider for its type.
+ * Returns the media item stored on the entry; every item also records the
+ * `provider` holding it and the `hash` of the original bytes:
+ *   { type: 'image', url, displayUrl, thumbUrl, blur, width, height, phash }
+ *   { type: 'gif',   url, poster, thumbUrl, blur, width, height, phash }
+ *   { type: 'video', url, mime }
+ * Variant fields are missing when the format cannot be decoded. Videos have no
+ * server-side poster or variants (that would need ffmpeg); the slideshow grabs
+ * a poster from the first frame in the browser.
  */
 async function processImage(jotformFileUrl) {
-    const buffer = await downloadJotformImage(jotformFileUrl);
-    return uploadToImgbb(buffer);
+    const { buffer, contentType } = await downloadJotformFile(jotformFileUrl);
+    const hash = sha256(buffer);
+
+    const known = await findProcessed(hash, PROCESSING_VERSION);
+    if (known) {
+        console.log(`Reusing stored media for ${hash.slice(0, 12)}…`);
+        return known;
+    }
+
+    let item;
+    if (VIDEO_TYPES.includes(contentType)) {
+        const { url, provider } = await storeFile(buffer, contentType);
+        item = { type: 'video', url, mime: contentType, provider, hash };
+    } else {
+        checkDimensions(buffer, contentType);
+        const clean = cleanImage(buffer, contentType);
+        const { name, maxImageBytes } = providerFor(contentType);
+        if (clean.length > maxImageBytes) {
+            throw new RejectedFileError(`${contentType} too large for ${name} (${clean.length} bytes, limit ${maxImageBytes})`);
+        }
+        const type = contentType === 'image/gif' && isAnimatedGif(clean) ? 'gif' : 'image';
+        const { url, provider } = await storeFile(clean, contentType);
+        item = await withVariants({ type, url, provider, hash }, clean, contentType);
+    }
+
+    await rememberProcessed(hash, item, PROCESSING_VERSION);
+    return item;
+}
+
+/**
+ * Backfill variants for a media item stored before they existed, by
+ * re-downloading it from its public URL. Videos are returned unchanged.
+ */
+async function addVariants(item) {
+    if (item.type === 'video' || item.thumbUrl) return item;
+    const res = await fetch(item.url);
+    if (!res.ok) throw new Error(`Download ${item.url}: ${res.status}`);
+    const buffer = Buffer.from(await res.arrayBuffer());
+    const contentType = sniffContentType(buffer);
+    return withVariants({ ...item, type: item.type || 'image' }, buffer, contentType);
+}
+
+/**
+ * Run every uploaded file of a submission through processImage, in parallel.
+ * Returns the ordered media list stored on the entry.
+ */
+function processImages(jotformFileUrls) {
+    return Promise.all(jotformFileUrls.map(processImage));
 }
 
-module.exports = { downloadJotformImage, uploadToImgbb, processImage };
+module.exports = { RejectedFileError, sniffContentType, downloadJotformFile, cleanImage, renderVariants, processImage, processImages, addVariants };
@@ -0,0 +1,146 @@
+// netlify/functions/ingest.js
+// Turns a Jotform submission into a change to a gallery's entries. Shared by
+// the webhook (one submission at a time) and the sync job (batched):
+//   prepareSubmission() does the slow part (media processing) outside any write,
+//   applyChanges() is the pure step that runs inside store.update().
+//
+// Edits are detected with the entry's `source` fingerprint (see entries.js).
+// Changed text fields are copied over, a changed file list is re-processed, and
+// the entry is updated in place: likes, moderation flags and everything else
+// stay. An edited entry goes back through moderation like a new one. Entries
+// stored before fingerprints existed adopt the current answers as their
+// baseline; only text changes can be detected for them the first time.
+//
+// New media is compared with the rest of the gallery by perceptual hash (see
+// raster.dhash): an entry whose image is within DUPLICATE_DISTANCE bits of
+// another entry's is flagged with `duplicateOf` and held for moderation, even
+// with AUTO_APPROVE. A negative distance turns the check off.
+
+const { processImages } = require('./imageUtils');
+const { EXTRA_FIELDS } = require('./forms');
+const { STATUS, initialStatus, sourceOf, newEntry, touch, mediaItems } = require('./entries');
+
+const DUPLICATE_DISTANCE = parseInt(process.env.DUPLICATE_DISTANCE || '8', 10);
+
+function textFields({ name, extra }) {
+    const fields = { name };
+    EXTRA_FIELDS.forEach(field => { fields[field] = extra[field]; });
+    return fields;
+}
+
+function textChanged(entry, mapped) {
+    const fields = textFields(mapped);
+    return Object.keys(fields).some(field => (entry[field] || null) !== (fields[field] || null));
+}
+
+function sameMedia(entry, images) {
+    const before = mediaItems(entry);
+    return before.length === images.length && before.every((item, i) => item.hash && item.hash === images[i].hash);
+}
+
+function hammingDistance(a, b) {
+    let bits = 0;
+    for (let i = 0; i < a.length; i++) {
+        for (let x = parseInt(a[i], 16) ^ parseInt(b[i], 16); x; x >>= 1) bits += x & 1;
+    }
+    return bits;
+}
+
+/**
+ * The first entry other than `submissionId` with an image that looks like one
+ * of `images`, or null. Flat images (all-zero hash) never match.
+ */
+function findDuplicate(entries, submissionId, images) {
+    if (DUPLICATE_DISTANCE < 0) return null;
+    const hashes = images.map(item => item.phash).filter(hash => hash && !/^0+$/.test(hash));
+    if (!hashes.length) return null;
+    const close = (item) => item.phash && hashes.some(hash => hammingDistance(hash, item.phash) <= DUPLICATE_DISTANCE);
+    const match = entries.find(e => e.submissionId !== submissionId && mediaItems(e).some(close));
+    if (match) console.log(`Possible duplicate: ${submissionId} looks like ${match.submissionId}`);
+    return match || null;
+}
+
+/**
+ * Work out what a submission means for the gallery, processing its media if needed.
+ * `entry` is the stored entry for this submission (if any), `mapped` the
+ * { name, files, extra } from forms.js. Resolves with
+ *   { action: 'add', submissionId, entry }            — new submission
+ *   { action: 'update', submissionId, patch, edited } — changed answers (`edited` is
+ *                                                       false when only the fingerprint is new)
+ *   null                                              — nothing to do
+ */
+async function prepareSubmission(entry, { form, submissionId, mapped, timestamp }) {
+    const source = sourceOf(mapped);
+
+    if (!entry) {
+        if (mapped.files.length === 0) return null;
+        const images = await processImages(mapped.files);
+        const { name, extra } = mapped;
+        return { action: 'add', submissionId, entry: newEntry({ form, submissionId, name, extra, images, timestamp, source }) };
+    }
+
+    const previous = entry.source;
+    if (previous && previous.fields === source.fields && previous.files === source.files) return null;
+
+    const patch = { source };
+    let edited = false;
+    if (textChanged(entry, mapped)) {
+        Object.assign(patch, textFields(mapped));
+        edited = true;
+    }
+    if (previous && previous.files !== source.files && mapped.files.length > 0) {
+        const images = await processImages(mapped.files);
+        // A new file list can still hold the same bytes (e.g. re-uploaded)
+        if (!sameMedia(entry, images)) {
+            Object.assign(patch, { images, imageUrl: images[0].url, mediaType: images[0].type });
+            edited = true;
+        }
+    }
+    if (edited) Object.assign(patch, { status: initialStatus(), editedAt: new Date().toISOString() });
+    return { action: 'update', submissionId, patch, edited };
+}
+
+/**
+ * Apply prepared changes and removals to the latest stored entries. Returns the
+ * next list, or undefined when nothing changed (for store.update).
+ */
+function applyChanges(entries, changes, removals = new Set()) {
+    let changed = false;
+    let next = entries.filter(e => {
+        if (!removals.has(e.submissionId)) return true;
+        changed = true;
+        return false;
+    });
+
+    const added = [];
+    for (const change of changes) {
+        const current = next.find(e => e.submissionId === change.submissionId);
+        if (change.action === 'add') {
+            // The webhook and the sync can race on a new submission
+            if (current || removals.has(change.submissionId)) continue;
+            const entry = touch({ ...change.entry });
+            const duplicate = findDuplicate([...added, ...next], entry.submissionId, entry.images);
+            if (duplicate) Object.assign(entry, { duplicateOf: duplicate.submissionId, status: STATUS.PENDING });
+            added.push(entry);
+        } else if (current) {
+            const patch = { ...change.patch };
+            if (patch.images) {
+                const duplicate = findDuplicate(next, current.submissionId, patch.images);
+                patch.duplicateOf = duplicate ? duplicate.submissionId : null;
+                if (duplicate) patch.status = STATUS.PENDING;
+            }
+            Object.entries(patch).forEach(([field, value]) => {
+                if (value === undefined || value === null) delete current[field];
+                else current[field] = value;
+            });
+            touch(current);
+        } else {
+            continue;
+        }
+        changed = true;
+    }
+    if (added.length) next = [...added, ...next];
+    return changed ? next : undefined;
+}
+
+module.exports = { prepareSubmission, applyChanges };
@@ -0,0 +1,43 @@
+// netlify/functions/jotform.js
+// Shared Jotform API client (EU data residency by default).
+
+const fetch = require('node-fetch');
+
+const JOTFORM_API_KEY = process.env.JOTFORM_API_KEY;
+const JOTFORM_API_BASE = process.env.JOTFORM_API_BASE || 'https://eu-api.jotform.com';
+
+/**
+ * Fetch a single submission. Returns null if Jotform does not know it.
+ */
+async function getSubmission(submissionId) {
+    const url = `${JOTFORM_API_BASE}/submission/${encodeURIComponent(submissionId)}?apiKey=${JOTFORM_API_KEY}`;
+    const res = await fetch(url);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`Jotform API ${res.status}`);
+    const json = await res.json();
+    if (json.responseCode === 404 || !json.content || !json.content.id) return null;
+    return json.content;
+}
+
+/**
+ * Fetch a page of submissions for a form, ordered by creation date.
+ */
+async function getFormSubmissions(formId, { offset = 0, limit = 1000 } = {}) {
+    // Add cache buster to avoid edge caching
+    const url = `${JOTFORM_API_BASE}/form/${formId}/submissions?apiKey=${JOTFORM_API_KEY}&offset=${offset}&limit=${limit}&orderby=created_at&cb=${Date.now()}`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Jotform API ${res.status}`);
+    const json = await res.json();
+    console.log('Jotform API response:', json.responseCode, '| count:', json.resultSet && json.resultSet.count);
+    return json.content || [];
+}
+
+/**
+ * Public URL of a form, on the same data-residency host as the API.
+ */
+function formUrl(formId) {
+    const base = JOTFORM_API_BASE.replace('//eu-api.', '//eu.').replace('//api.', '//form.');
+    return `${base}/${formId}`;
+}
+
+module.exports = { getSubmission, getFormSubmissions, formUrl };
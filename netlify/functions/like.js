@@ -1,81 +1,98 @@
 // netlify/functions/like.js
-const fetch = require('node-fetch');
+// Likes, one per voter per meme (see votes.js).
+// POST   /.netlify/functions/like { gallery, submissionId, token } → like
+// DELETE /.netlify/functions/like { gallery, submissionId, token } → unlike
+//   → { success, likes, liked }; repeating either is a no-op
+// `token` comes from voter.js. Both are rate limited per IP (LIKE_RATE_LIMIT per minute).
+//
+// Admin (Authorization: Bearer <admin password>, see auth.js):
+// GET  /.netlify/functions/like?gallery=<id>[&submissionId=<id>] → cached vs recorded counts
+// POST /.netlify/functions/like { gallery, action: 'recount' }     → rebuild counts from votes
+const { createStore } = require('./storage');
+const { entriesKey, isPublic } = require('./entries');
+const { getGallery } = require('./config');
+const { adminUser } = require('./auth');
+const { verifyVoterToken, castVote, auditVotes, recountLikes } = require('./votes');
+const { hitRateLimit } = require('./rateLimit');
+const { recordAudit } = require('./auditLog');
 
-const JSONBIN_API_KEY = process.env.JSONBIN_API_KEY;
-const JSONBIN_BIN_ID = process.env.JSONBIN_BIN_ID;
-const JSONBIN_BASE = 'https://api.jsonbin.io/v3';
+const LIKE_LIMIT = parseInt(process.env.LIKE_RATE_LIMIT || '120', 10);
+const LIKE_WINDOW_MS = 60 * 1000;
 
 const CORS_HEADERS = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
 };
 
+function respond(statusCode, payload, headers = {}) {
+    return { statusCode, headers: { ...CORS_HEADERS, ...headers }, body: JSON.stringify(payload) };
+}
+
+async function adminRequest(event, store, gallery, body) {
+    const by = adminUser(event);
+    if (!by) return respond(401, { error: 'Unauthorized' });
+    if (event.httpMethod === 'GET') {
+        const params = event.queryStringParameters || {};
+        const entries = await auditVotes(store, gallery.id, params.submissionId);
+        return respond(200, { entries, drift: entries.filter(e => e.drift).length });
+    }
+    if (body.action === 'recount') {
+        const fixed = await recountLikes(store, gallery.id);
+        if (fixed.length) await recordAudit(store, gallery.id, { by, action: 'recount', ids: fixed.map(f => f.submissionId), details: { fixed } });
+        return respond(200, { success: true, fixed });
+    }
+    return respond(400, { error: `Unknown action: ${body.action}` });
+}
+
 exports.handler = async (event) => {
     if (event.httpMethod === 'OPTIONS') {
         return { statusCode: 200, headers: CORS_HEADERS, body: '' };
     }
 
-    if (event.httpMethod !== 'POST') {
+    if (!['GET', 'POST', 'DELETE'].includes(event.httpMethod)) {
         return { statusCode: 405, headers: CORS_HEADERS, body: 'Method Not Allowed' };
     }
 
     try {
-        const { submissionId } = JSON.parse(event.body);
-        if (!submissionId) {
-            return { statusCode: 400, headers: CORS_HEADERS, body: JSON.stringify({ error: 'submissionId is required' }) };
+        const params = event.queryStringParameters || {};
+        const body = event.httpMethod === 'GET' ? {} : JSON.parse(event.body || '{}');
+        const gallery = getGallery(body.gallery || params.gallery);
+        if (!gallery) {
+            return respond(404, { error: 'Unknown gallery' });
         }
-
-        // 1. Get latest data from JSONBin
-        const getRes = await fetch(`${JSONBIN_BASE}/b/${JSONBIN_BIN_ID}/latest`, {
-            headers: { 'X-Master-Key': JSONBIN_API_KEY, 'X-Bin-Meta': 'false' },
-        });
-
-        if (!getRes.ok) throw new Error(`JSONBin Fetch: ${getRes.status}`);
-        const submissions = await getRes.json();
-
-        if (!Array.isArray(submissions)) {
-            return { statusCode: 500, headers: CORS_HEADERS, body: JSON.stringify({ error: 'Data is not an array' }) };
+        const store = createStore(event);
+        if (event.httpMethod === 'GET' || body.action) {
+            return await adminRequest(event, store, gallery, body);
         }
 
-        // 2. Increment like count for the target submission
-        let newLikes = 0;
-        let found = false;
-        const updated = submissions.map(s => {
-            if (s.submissionId === submissionId) {
-                s.likes = (s.likes || 0) + 1;
-                newLikes = s.likes;
-                found = true;
-            }
-            return s;
-        });
-
-        if (!found) {
-            return { statusCode: 404, headers: CORS_HEADERS, body: JSON.stringify({ error: 'Submission not found' }) };
+        const { submissionId, token } = body;
+        if (!submissionId) {
+            return respond(400, { error: 'submissionId is required' });
+        }
+        const voterId = await verifyVoterToken(store, token);
+        if (!voterId) {
+            return respond(401, { error: 'Invalid voter token' });
         }
 
-        // 3. Save back to JSONBin
-        const putRes = await fetch(`${JSONBIN_BASE}/b/${JSONBIN_BIN_ID}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json', 'X-Master-Key': JSONBIN_API_KEY },
-            body: JSON.stringify(updated),
-        });
+        const rate = await hitRateLimit(event, 'like', { limit: LIKE_LIMIT, windowMs: LIKE_WINDOW_MS });
+        if (rate.limited) {
+            return respond(429, { error: 'Too many requests' }, { 'Retry-After': String(rate.retryAfter) });
+        }
 
-        if (!putRes.ok) throw new Error(`JSONBin Update: ${putRes.status}`);
+        const { data: entries } = await store.read(entriesKey(gallery.id), []);
+        const entry = entries.find(s => s.submissionId === submissionId && isPublic(s));
+        if (!entry) {
+            return respond(404, { error: 'Submission not found' });
+        }
 
-        return {
-            statusCode: 200,
-            headers: CORS_HEADERS,
-            body: JSON.stringify({ success: true, likes: newLikes }),
-        };
+        const { count, on } = await castVote(store, gallery.id, entry, voterId, event.httpMethod === 'POST');
+        return respond(200, { success: true, likes: count, liked: on });
 
     } catch (err) {
         console.error('Like error:', err);
-        return {
-            statusCode: 500,
-            headers: CORS_HEADERS,
-            body: JSON.stringify({ error: err.message }),
-        };
+        return respond(500, { error: err.message });
     }
 };
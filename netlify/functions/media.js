@@ -0,0 +1,73 @@
+// netlify/functions/media.js
+// Serves files from the Netlify Blobs media store (uploads made through the blobs provider).
+// GET /media/<key>  →  /.netlify/functions/media?key=<key>
+// Supports Range requests, which browsers use for <video>; chunks are capped so a
+// response always fits in the function payload limit. A file over that cap
+// (only videos: ingest keeps blob-hosted images under it) is refused with a
+// 413 when asked for whole, since a partial 200 would be a corrupt file.
+
+const { connectBlobs, blobStore } = require('./storage');
+const { MEDIA_STORE, MEDIA_CHUNK_BYTES: MAX_CHUNK } = require('./uploads');
+
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match) return null;
+    let start = match[1] === '' ? size - parseInt(match[2], 10) : parseInt(match[1], 10);
+    let end = match[1] === '' || match[2] === '' ? size - 1 : parseInt(match[2], 10);
+    start = Math.max(0, start);
+    end = Math.min(end, size - 1, start + MAX_CHUNK - 1);
+    return start <= end ? { start, end } : null;
+}
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+        return { statusCode: 405, body: 'Method Not Allowed' };
+    }
+
+    const key = event.queryStringParameters && event.queryStringParameters.key;
+    if (!key || !/^[a-f0-9]{64}\.[a-z0-9]+$/.test(key)) {
+        return { statusCode: 400, body: 'Invalid media key' };
+    }
+
+    try {
+        connectBlobs(event);
+        const result = await blobStore(MEDIA_STORE).getWithMetadata(key, { type: 'arrayBuffer' });
+        if (!result) return { statusCode: 404, body: 'Not found' };
+
+        const buffer = Buffer.from(result.data);
+        const size = buffer.length;
+        const headers = {
+            'Content-Type': result.metadata.contentType || 'application/octet-stream',
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'public, max-age=31536000, immutable', // keys are content hashes
+            'Access-Control-Allow-Origin': '*',
+        };
+
+        const rangeHeader = (event.headers || {}).range;
+        const range = rangeHeader ? parseRange(rangeHeader, size) : null;
+        if (rangeHeader && !range) {
+            return { statusCode: 416, headers: { ...headers, 'Content-Range': `bytes */${size}` }, body: '' };
+        }
+        if (!range && size > MAX_CHUNK && event.httpMethod === 'GET') {
+            return {
+                statusCode: 413,
+                headers: { 'Content-Type': 'text/plain', 'Accept-Ranges': 'bytes', 'Access-Control-Allow-Origin': '*' },
+                body: `File is ${size} bytes; request it in ranges of up to ${MAX_CHUNK}`,
+            };
+        }
+
+        const chunk = range ? buffer.slice(range.start, range.end + 1) : buffer;
+        if (range) headers['Content-Range'] = `bytes ${range.start}-${range.end}/${size}`;
+        headers['Content-Length'] = String(chunk.length);
+
+        return {
+            statusCode: range ? 206 : 200,
+            headers,
+            body: event.httpMethod === 'HEAD' ? '' : chunk.toString('base64'),
+            isBase64Encoded: event.httpMethod !== 'HEAD',
+        };
+    } catch (err) {
+        console.error('Media error:', err);
+        return { statusCode: 500, body: err.message };
+    }
+};
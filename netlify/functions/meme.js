@@ -0,0 +1,115 @@
+// netlify/functions/meme.js
+// Permalink page for one meme: /m/<submissionId> (see netlify.toml).
+// Serves the Open Graph / Twitter card tags built from the stored entry, so the
+// link unfurls in WhatsApp, Telegram & co., then sends browsers on to the
+// slideshow of its gallery, focused on that card (?focus=<submissionId>).
+// Crawlers don't run scripts or follow the refresh, so they stay on the tags.
+
+const { createStore } = require('./storage');
+const { entriesKey, isPublic, mediaItems } = require('./entries');
+const { DEFAULT_GALLERY, getGalleries } = require('./config');
+
+const HEADERS = {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'public, max-age=300',
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+})[c]);
+
+/**
+ * Find a public entry by submission id across every gallery.
+ * Resolves with { gallery, entry } or null.
+ */
+async function findEntry(store, submissionId) {
+    for (const gallery of getGalleries()) {
+        const { data } = await store.read(entriesKey(gallery.id), []);
+        const entry = (Array.isArray(data) ? data : []).find(e => e.submissionId === submissionId);
+        if (entry) return isPublic(entry) ? { gallery, entry } : null;
+    }
+    return null;
+}
+
+// Largest still of the first item: crawlers want an image, not a GIF or video
+function previewImage(entry) {
+    const [item] = mediaItems(entry);
+    if (!item) return null;
+    if (item.type === 'video') return item.poster || null;
+    return item.poster || item.displayUrl || item.url;
+}
+
+function page({ title, description, image, url, target }) {
+    const meta = [
+        ['og:type', 'website'],
+        ['og:title', title],
+        ['og:description', description],
+        ['og:url', url],
+        ['og:image', image],
+        ['twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['twitter:title', title],
+        ['twitter:image', image],
+    ].filter(([, content]) => content)
+        .map(([property, content]) => `  <meta property="${property}" content="${escapeHtml(content)}" />`)
+        .join('\n');
+    return `<!DOCTYPE html>
+<html lang="it">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${escapeHtml(title)}</title>
+${meta}
+  <meta http-equiv="refresh" content="0; url=${escapeHtml(target)}" />
+</head>
+<body>
+  <p><a href="${escapeHtml(target)}">Apri il meme nella galleria</a></p>
+  <script>location.replace(${JSON.stringify(target).replace(/</g, '\\u003c')});</script>
+</body>
+</html>
+`;
+}
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+        return { statusCode: 405, headers: HEADERS, body: 'Method Not Allowed' };
+    }
+
+    const params = event.queryStringParameters || {};
+    const submissionId = String(params.id || '').split('/')[0];
+    if (!submissionId) {
+        return { statusCode: 302, headers: { Location: '/' }, body: '' };
+    }
+
+    try {
+        const found = await findEntry(createStore(event), submissionId);
+        if (!found) {
+            return {
+                statusCode: 404,
+                headers: { ...HEADERS, 'Cache-Control': 'no-cache' },
+                body: '<!DOCTYPE html><html lang="it"><head><meta charset="UTF-8" /><title>Meme non trovato</title></head>'
+                    + '<body><p>Meme non trovato. <a href="/">Vai alla galleria</a></p></body></html>',
+            };
+        }
+
+        const { gallery, entry } = found;
+        const headers = event.headers || {};
+        const origin = headers.host ? `${headers['x-forwarded-proto'] || 'https'}://${headers.host}` : (process.env.URL || '');
+        const absolute = (url) => (url && url.startsWith('/') ? origin + url : url);
+        const slideshow = gallery.id === DEFAULT_GALLERY ? '/' : `/e/${encodeURIComponent(gallery.id)}`;
+
+        return {
+            statusCode: 200,
+            headers: HEADERS,
+            body: page({
+                title: `${entry.name || 'Senza nome'} — ${gallery.title}`,
+                description: entry.caption || gallery.subtitle || gallery.title,
+                image: absolute(previewImage(entry)),
+                url: `${origin}/m/${encodeURIComponent(submissionId)}`,
+                target: `${slideshow}?focus=${encodeURIComponent(submissionId)}`,
+            }),
+        };
+    } catch (err) {
+        console.error('Permalink error:', err);
+        return { statusCode: 500, headers: HEADERS, body: 'Errore interno' };
+    }
+};
@@ -0,0 +1,172 @@
+// netlify/functions/moderate.js
+// Admin moderation queue and entry editing.
+// GET  /.netlify/functions/moderate?gallery=<id>&status=pending   → entries with that status
+// GET  /.netlify/functions/moderate?gallery=<id>&view=log         → latest audit log records
+// POST /.netlify/functions/moderate { gallery, ids, action, value }
+//   approve | reject | hide | unhide | pin | unpin
+//   rename     — value: the new name
+//   move       — value: position (0 = top) the ids move to, keeping their order
+//   resetLikes — counts to zero and recorded likes dropped (votes.js)
+//   delete     — removed for good: the sync and the webhook won't add it back
+// Pinned entries lead the slideshow. Every change goes to the audit log with
+// the admin's name (auditLog.js).
+
+const { createStore } = require('./storage');
+const { adminUser, isAdmin } = require('./auth');
+const { STATUS, entriesKey, deletedKey, statusOf, touch } = require('./entries');
+const { getGallery } = require('./config');
+const { resetLikes } = require('./votes');
+const { recordAudit, readAudit } = require('./auditLog');
+
+const MAX_NAME_LENGTH = 200;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+};
+
+const ACTIONS = {
+    approve: (entry) => { entry.status = STATUS.APPROVED; },
+    reject: (entry) => { entry.status = STATUS.REJECTED; },
+    hide: (entry) => { entry.hidden = true; },
+    unhide: (entry) => { delete entry.hidden; },
+    pin: (entry) => { entry.pinned = true; },
+    unpin: (entry) => { delete entry.pinned; },
+    rename: (entry, name) => { entry.name = name; },
+};
+
+// Actions on the list as a whole; resolve with the number of entries affected
+const LIST_ACTIONS = {
+    async move(store, gallery, wanted, position) {
+        let moved = 0;
+        await store.update(entriesKey(gallery.id), (entries) => {
+            const moving = entries.filter(e => wanted.has(e.submissionId));
+            const rest = entries.filter(e => !wanted.has(e.submissionId));
+            const at = Math.max(0, Math.min(position, rest.length));
+            moved = moving.length;
+            moving.forEach(touch);
+            return moved ? [...rest.slice(0, at), ...moving, ...rest.slice(at)] : undefined;
+        }, { fallback: [] });
+        return moved;
+    },
+    async resetLikes(store, gallery, wanted) {
+        const { data } = await store.read(entriesKey(gallery.id), []);
+        const ids = data.filter(e => wanted.has(e.submissionId)).map(e => e.submissionId);
+        if (ids.length) await resetLikes(store, gallery.id, ids);
+        return ids.length;
+    },
+    async delete(store, gallery, wanted, value, by) {
+        let removed = [];
+        await store.update(entriesKey(gallery.id), (entries) => {
+            removed = entries.filter(e => wanted.has(e.submissionId)).map(e => e.submissionId);
+            return removed.length ? entries.filter(e => !wanted.has(e.submissionId)) : undefined;
+        }, { fallback: [] });
+        const at = new Date().toISOString();
+        await store.update(deletedKey(gallery.id), (deleted) => {
+            removed.forEach(id => { deleted[id] = { at, by }; });
+            return removed.length ? deleted : undefined;
+        }, { fallback: {} });
+        return removed.length;
+    },
+};
+
+function respond(statusCode, payload) {
+    return { statusCode, headers: CORS_HEADERS, body: JSON.stringify(payload) };
+}
+
+exports.handler = async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+    }
+
+    if (!isAdmin(event)) {
+        return respond(401, { error: 'Unauthorized' });
+    }
+
+    try {
+        const store = createStore(event);
+        const params = event.queryStringParameters || {};
+        const body = event.httpMethod === 'POST' ? JSON.parse(event.body || '{}') : {};
+        const gallery = getGallery(body.gallery || params.gallery);
+        if (!gallery) return respond(404, { error: 'Unknown gallery' });
+        const key = entriesKey(gallery.id);
+
+        if (event.httpMethod === 'GET' && params.view === 'log') {
+            const log = await readAudit(store, gallery.id, parseInt(params.limit, 10) || 100);
+            return respond(200, { log });
+        }
+
+        if (event.httpMethod === 'GET') {
+            const wanted = params.status || STATUS.PENDING;
+            const { data } = await store.read(key, []);
+
+            const counts = { pending: 0, approved: 0, rejected: 0, hidden: 0 };
+            data.forEach(entry => {
+                counts[statusOf(entry)] = (counts[statusOf(entry)] || 0) + 1;
+                if (entry.hidden) counts.hidden++;
+            });
+
+            const entries = data.filter(entry => (wanted === 'hidden' ? entry.hidden : wanted === 'all' || statusOf(entry) === wanted));
+            return respond(200, { entries, counts });
+        }
+
+        if (event.httpMethod !== 'POST') {
+            return { statusCode: 405, headers: CORS_HEADERS, body: 'Method Not Allowed' };
+        }
+
+        const { ids, action } = body;
+        const apply = ACTIONS[action];
+        const applyList = LIST_ACTIONS[action];
+        if (!apply && !applyList) {
+            return respond(400, { error: `action must be one of: ${[...Object.keys(ACTIONS), ...Object.keys(LIST_ACTIONS)].join(', ')}` });
+        }
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return respond(400, { error: 'ids must be a non-empty array' });
+        }
+        let value = body.value;
+        if (action === 'rename') {
+            value = String(value || '').trim();
+            if (!value || value.length > MAX_NAME_LENGTH) {
+                return respond(400, { error: `value must be a name of 1-${MAX_NAME_LENGTH} characters` });
+            }
+        }
+        if (action === 'move' && !Number.isInteger(value)) {
+            return respond(400, { error: 'value must be the target position' });
+        }
+
+        const by = adminUser(event);
+        const wanted = new Set(ids);
+        let updated = 0;
+        let details = null;
+        if (applyList) {
+            updated = await applyList(store, gallery, wanted, value, by);
+            if (action === 'move') details = { position: value };
+        } else {
+            const moderatedAt = new Date().toISOString();
+            await store.update(key, (submissions) => {
+                updated = 0;
+                const before = {};
+                submissions.forEach(entry => {
+                    if (!wanted.has(entry.submissionId)) return;
+                    before[entry.submissionId] = entry.name || null;
+                    apply(entry, value);
+                    entry.moderatedAt = moderatedAt;
+                    touch(entry);
+                    updated++;
+                });
+                if (action === 'rename') details = { from: before, to: value };
+                return updated > 0 ? submissions : undefined;
+            }, { fallback: [] });
+        }
+
+        if (updated > 0) await recordAudit(store, gallery.id, { by, action, ids, details });
+        console.log(`Moderation [${gallery.id}]: ${action} on ${updated}/${ids.length} entries by ${by}`);
+        return respond(200, { success: true, action, updated });
+    } catch (err) {
+        console.error('Moderation error:', err);
+        return respond(500, { error: err.message });
+    }
+};
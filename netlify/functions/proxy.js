@@ -1,61 +1,214 @@
 // netlify/functions/proxy.js
 // Proxies images from Jotform CDN server-side to bypass hotlink/referrer restrictions
+// GET /.netlify/functions/proxy?url=<file URL>
+//
+// The URL must be https on a host listed in PROXY_ALLOWED_HOSTS (comma-separated,
+// "*.example.com" matches subdomains; default: the Jotform hosts below, including
+// the file hosts uploads redirect to).
+// Redirects are followed by hand, at most MAX_REDIRECTS, and every hop must
+// pass the same check. Only images are served: the upstream Content-Type must
+// be an image (or octet-stream) and the bytes must be JPEG, PNG, GIF or WebP,
+// which is also the type we answer with. Files over PROXY_MAX_BYTES get a 413.
+// JOTFORM_API_KEY is added here for Jotform hosts and never reaches the browser.
+//
+// Files are cached in the Netlify Blobs store "proxy-cache" for PROXY_CACHE_TTL
+// seconds, keyed by the URL; responses carry an ETag (the content hash) and a
+// matching If-None-Match gets a 304. Without Blobs (plain local runs) every
+// request goes upstream.
 
+const crypto = require('crypto');
 const fetch = require('node-fetch');
+const { connectBlobs, blobStore } = require('./storage');
+const { sniffContentType } = require('./imageUtils');
 
-exports.handler = async (event) => {
-    const imageUrl = event.queryStringParameters && event.queryStringParameters.url;
+const JOTFORM_API_KEY = process.env.JOTFORM_API_KEY;
+const ALLOWED_HOSTS = (process.env.PROXY_ALLOWED_HOSTS || 'www.jotform.com,eu.jotform.com,api.jotform.com,files.jotform.com,eu-files.jotform.com')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+// The response goes back base64-encoded, so 4 MB keeps it under the 6 MB function limit
+const MAX_BYTES = parseInt(process.env.PROXY_MAX_BYTES || String(4 * 1024 * 1024), 10);
+const CACHE_TTL_MS = parseInt(process.env.PROXY_CACHE_TTL || String(7 * 24 * 60 * 60), 10) * 1000;
+const CACHE_STORE = 'proxy-cache';
+const MAX_REDIRECTS = 5;
+const TIMEOUT_MS = 10000;
+const REDIRECTS = [301, 302, 303, 307, 308];
 
-    if (!imageUrl) {
-        return { statusCode: 400, body: 'Missing ?url= parameter' };
+const HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'public, max-age=86400',
+    'X-Content-Type-Options': 'nosniff',
+};
+const ERROR_HEADERS = { ...HEADERS, 'Cache-Control': 'no-store' };
+
+class ProxyError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'ProxyError';
+        this.statusCode = statusCode;
     }
+}
 
-    // Security: only allow Jotform CDN URLs
-    const allowed = ['https://eu.jotform.com/', 'https://www.jotform.com/', 'https://api.jotform.com/'];
-    if (!allowed.some(prefix => imageUrl.startsWith(prefix))) {
-        return { statusCode: 403, body: 'Forbidden: only Jotform URLs allowed' };
+const isJotform = (host) => host === 'jotform.com' || host.endsWith('.jotform.com');
+
+function hostAllowed(host) {
+    return ALLOWED_HOSTS.some(allowed => (allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed));
+}
+
+/**
+ * Parse and check a URL (relative ones against `base`); throws a 400/403 ProxyError.
+ */
+function checkUrl(raw, base) {
+    let url;
+    try { url = new URL(raw, base); } catch (e) { throw new ProxyError(400, 'Invalid url'); }
+    if (url.protocol !== 'https:' || url.username || url.password || url.port) {
+        throw new ProxyError(403, 'Forbidden: only plain https URLs allowed');
     }
+    if (!hostAllowed(url.hostname)) throw new ProxyError(403, `Forbidden: host ${url.hostname} is not allowed`);
+    return url;
+}
 
-    try {
-        const res = await fetch(decodeURIComponent(imageUrl), {
+/**
+ * Fetch a checked URL, following redirects only to allowed hosts.
+ */
+async function fetchAllowed(url) {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const target = new URL(url);
+        if (JOTFORM_API_KEY && isJotform(target.hostname)) target.searchParams.set('apiKey', JOTFORM_API_KEY);
+        const res = await fetch(target.href, {
+            redirect: 'manual',
+            size: MAX_BYTES,
+            timeout: TIMEOUT_MS,
             headers: {
                 'Referer': 'https://www.jotform.com/',
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
             },
         });
+        if (!REDIRECTS.includes(res.status)) return res;
+        const location = res.headers.get('location');
+        if (!location) throw new ProxyError(502, `CDN redirect without a location (${res.status})`);
+        url = checkUrl(location, url);
+    }
+    throw new ProxyError(502, 'Too many redirects');
+}
 
-        if (!res.ok) {
-            return { statusCode: res.status, body: `CDN error: ${res.status}` };
-        }
+/**
+ * Download an image: { buffer, contentType }, or a ProxyError.
+ */
+async function download(url) {
+    const res = await fetchAllowed(url);
+    if (!res.ok) throw new ProxyError(res.status === 404 ? 404 : 502, `CDN error: ${res.status}`);
+    const header = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!header.startsWith('image/') && header !== 'application/octet-stream') {
+        throw new ProxyError(415, `Not an image (${header || 'no type'})`);
+    }
+    if (parseInt(res.headers.get('content-length'), 10) > MAX_BYTES) throw new ProxyError(413, 'Image too large');
+    let buffer;
+    try {
+        buffer = Buffer.from(await res.arrayBuffer());
+    } catch (err) {
+        if (err.type === 'max-size') throw new ProxyError(413, 'Image too large');
+        throw err;
+    }
+    const contentType = sniffContentType(buffer);
+    if (!contentType || !contentType.startsWith('image/')) throw new ProxyError(415, `Not an image (served as ${header})`);
+    return { buffer, contentType };
+}
+
+// ── Cache ─────────────────────────────────────────────────────────────────────
+
+function openCache(event) {
+    try {
+        connectBlobs(event);
+        return blobStore(CACHE_STORE);
+    } catch (err) {
+        console.warn(`Proxy cache unavailable: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * ETag of a fresh cached copy, without reading the file.
+ */
+async function cachedTag(cache, key) {
+    if (!cache) return null;
+    try {
+        const result = await cache.getMetadata(key);
+        return result && Date.now() - result.metadata.fetchedAt <= CACHE_TTL_MS ? result.metadata.etag : null;
+    } catch (err) {
+        console.warn(`Proxy cache read failed: ${err.message}`);
+        return null;
+    }
+}
 
-        // Use arrayBuffer for better compatibility across Node versions
-        const arrayBuffer = await res.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-
-        // Netlify Functions have a ~6MB response limit — skip proxy for very large files
-        if (buffer.length > 5 * 1024 * 1024) {
-            // For large files, issue a redirect so the browser tries directly
-            return {
-                statusCode: 302,
-                headers: { Location: imageUrl },
-                body: '',
-            };
+async function cached(cache, key) {
+    if (!cache) return null;
+    try {
+        const result = await cache.getWithMetadata(key, { type: 'arrayBuffer' });
+        if (!result || Date.now() - result.metadata.fetchedAt > CACHE_TTL_MS) return null;
+        return { buffer: Buffer.from(result.data), contentType: result.metadata.contentType, etag: result.metadata.etag };
+    } catch (err) {
+        console.warn(`Proxy cache read failed: ${err.message}`);
+        return null;
+    }
+}
+
+async function remember(cache, key, file) {
+    if (!cache) return;
+    try {
+        const data = file.buffer.buffer.slice(file.buffer.byteOffset, file.buffer.byteOffset + file.buffer.byteLength);
+        await cache.set(key, data, { metadata: { contentType: file.contentType, etag: file.etag, fetchedAt: Date.now() } });
+    } catch (err) {
+        console.warn(`Proxy cache write failed: ${err.message}`);
+    }
+}
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+        return { statusCode: 405, body: 'Method Not Allowed' };
+    }
+
+    const imageUrl = event.queryStringParameters && event.queryStringParameters.url;
+    if (!imageUrl) {
+        return { statusCode: 400, body: 'Missing ?url= parameter' };
+    }
+
+    try {
+        const url = checkUrl(imageUrl);
+        url.searchParams.delete('apiKey'); // ours is added upstream
+        const key = crypto.createHash('sha256').update(url.href).digest('hex');
+        const cache = openCache(event);
+        const ifNoneMatch = (event.headers || {})['if-none-match'] || '';
+        const matches = (etag) => ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+
+        const tag = ifNoneMatch && await cachedTag(cache, key);
+        if (tag && matches(tag)) {
+            return { statusCode: 304, headers: { ...HEADERS, 'ETag': tag, 'X-Proxy-Cache': 'HIT' }, body: '' };
         }
 
-        const contentType = res.headers.get('content-type') || 'image/jpeg';
+        let file = await cached(cache, key);
+        const hit = Boolean(file);
+        if (!file) {
+            file = await download(url);
+            file.etag = `"${crypto.createHash('sha256').update(file.buffer).digest('hex').slice(0, 32)}"`;
+            await remember(cache, key, file);
+        }
 
+        const headers = { ...HEADERS, 'ETag': file.etag, 'X-Proxy-Cache': hit ? 'HIT' : 'MISS' };
+        if (matches(file.etag)) {
+            return { statusCode: 304, headers, body: '' };
+        }
         return {
             statusCode: 200,
-            headers: {
-                'Content-Type': contentType,
-                'Cache-Control': 'public, max-age=86400',
-                'Access-Control-Allow-Origin': '*',
-            },
-            body: buffer.toString('base64'),
-            isBase64Encoded: true,
+            headers: { ...headers, 'Content-Type': file.contentType, 'Content-Length': String(file.buffer.length) },
+            body: event.httpMethod === 'HEAD' ? '' : file.buffer.toString('base64'),
+            isBase64Encoded: event.httpMethod !== 'HEAD',
         };
     } catch (err) {
-        console.error('Proxy error:', err);
-        return { statusCode: 500, body: err.message };
+        if (err instanceof ProxyError) {
+            console.warn(`Proxy refused (${err.statusCode}): ${err.message}`);
+            return { statusCode: err.statusCode, headers: ERROR_HEADERS, body: err.message };
+        }
+        // node-fetch errors quote the URL, which carries the API key
+        console.error('Proxy error:', err.message.replace(/apiKey=[^&\s]+/g, 'apiKey=…'));
+        return { statusCode: 502, headers: ERROR_HEADERS, body: 'Proxy error' };
     }
 };
@@ -0,0 +1,34 @@
+// netlify/functions/qr.js
+// QR code (SVG) pointing to a gallery's submission form, for the kiosk overlay.
+// GET /.netlify/functions/qr?gallery=<id>   (default gallery when omitted)
+// Encoded by the pure-JS `qrcode` package at error correction level M.
+
+const QRCode = require('qrcode');
+const { getGallery, getFormUrl } = require('./config');
+
+const HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'image/svg+xml',
+    'Cache-Control': 'public, max-age=3600',
+};
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== 'GET') {
+        return { statusCode: 405, headers: HEADERS, body: 'Method Not Allowed' };
+    }
+
+    const params = event.queryStringParameters || {};
+    const gallery = getGallery(params.gallery);
+    const target = gallery && getFormUrl(gallery.id);
+    if (!target) {
+        return { statusCode: 404, headers: { ...HEADERS, 'Content-Type': 'application/json' }, body: JSON.stringify({ error: 'No form for this gallery' }) };
+    }
+
+    try {
+        const svg = await QRCode.toString(target, { type: 'svg', errorCorrectionLevel: 'M', margin: 4 });
+        return { statusCode: 200, headers: HEADERS, body: svg };
+    } catch (err) {
+        console.error('QR error:', err);
+        return { statusCode: 500, headers: { ...HEADERS, 'Content-Type': 'application/json' }, body: JSON.stringify({ error: err.message }) };
+    }
+};
@@ -0,0 +1,163 @@
+// netlify/functions/raster.js
+// Pure-JS raster helpers (jpeg-js, pngjs, omggif) used to build image variants.
+// Everything works on { width, height, data } images with RGBA pixel data.
+// NOTE: No native libraries here either (sharp incompatible with NFT bundler),
+// so this is slow on huge photos; the limits below keep it within a function run.
+
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { GifReader } = require('omggif');
+
+const MAX_DECODE_MP = 40; // refuse to decode anything larger than 40 megapixels
+const MAX_DECODE_MB = 512;
+
+// jpeg-js hands back a Uint8Array; view it as a Buffer without copying
+const asBuffer = (data) => (Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.length));
+
+/**
+ * Decode a JPEG, PNG or GIF (first frame) buffer. Returns null for formats
+ * we cannot decode in pure JS (e.g. WebP).
+ */
+function decode(buffer, contentType) {
+    if (contentType === 'image/jpeg') {
+        return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_DECODE_MP, maxMemoryUsageInMB: MAX_DECODE_MB });
+    }
+    if (contentType === 'image/png') {
+        const png = PNG.sync.read(buffer);
+        return { width: png.width, height: png.height, data: png.data };
+    }
+    if (contentType === 'image/gif') {
+        const reader = new GifReader(buffer);
+        const data = Buffer.alloc(reader.width * reader.height * 4);
+        reader.decodeAndBlitFrameRGBA(0, data);
+        return { width: reader.width, height: reader.height, data };
+    }
+    return null;
+}
+
+/**
+ * Downscale by area averaging so the result fits in maxWidth × maxHeight.
+ * With `cover`, scale so the result covers the box instead (for cropped thumbs).
+ * Never upscales.
+ */
+function resize(image, maxWidth, maxHeight, { cover = false } = {}) {
+    const fit = cover ? Math.max : Math.min;
+    const scale = Math.min(1, fit(maxWidth / image.width, maxHeight / image.height));
+    if (scale === 1) return image;
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const out = Buffer.alloc(width * height * 4);
+    const xRatio = image.width / width;
+    const yRatio = image.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * yRatio);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * yRatio));
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * xRatio);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * xRatio));
+            let r = 0, g = 0, b = 0, a = 0, n = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                let i = (sy * image.width + x0) * 4;
+                for (let sx = x0; sx < x1; sx++, i += 4) {
+                    r += image.data[i]; g += image.data[i + 1]; b += image.data[i + 2]; a += image.data[i + 3];
+                    n++;
+                }
+            }
+            const o = (y * width + x) * 4;
+            out[o] = r / n; out[o + 1] = g / n; out[o + 2] = b / n; out[o + 3] = a / n;
+        }
+    }
+    return { width, height, data: out };
+}
+
+/**
+ * Apply an EXIF orientation (2-8) to the pixels, so the result displays
+ * upright as stored (orientation 1).
+ */
+function orient(image, orientation) {
+    if (!orientation || orientation === 1) return image;
+    const { width: w, height: h } = image;
+    const swap = orientation >= 5;
+    const width = swap ? h : w;
+    const height = swap ? w : h;
+    // Source pixel for each destination pixel, per orientation
+    const source = {
+        2: (x, y) => [w - 1 - x, y],
+        3: (x, y) => [w - 1 - x, h - 1 - y],
+        4: (x, y) => [x, h - 1 - y],
+        5: (x, y) => [y, x],
+        6: (x, y) => [y, h - 1 - x],
+        7: (x, y) => [w - 1 - y, h - 1 - x],
+        8: (x, y) => [w - 1 - y, x],
+    }[orientation];
+    if (!source) return image;
+    const src = asBuffer(image.data);
+    const out = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [sx, sy] = source(x, y);
+            const i = (sy * w + sx) * 4;
+            src.copy(out, (y * width + x) * 4, i, i + 4);
+        }
+    }
+    return { width, height, data: out };
+}
+
+/**
+ * 64-bit difference hash (dHash) as 16 hex digits: the image is averaged down
+ * to 9×8 grey cells and each bit says whether a cell is darker than its right
+ * neighbour. Re-encoded, resized or lightly edited copies of a picture land a
+ * few bits apart.
+ */
+function dhash(image) {
+    const { width, height, data } = image;
+    const sums = new Float64Array(9 * 8);
+    const counts = new Uint32Array(9 * 8);
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y * 8 / height) * 9;
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const cell = row + Math.floor(x * 9 / width);
+            sums[cell] += (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * data[i + 3] / 255;
+            counts[cell]++;
+        }
+    }
+    const grey = (cell) => (counts[cell] ? sums[cell] / counts[cell] : 0);
+    let hex = '';
+    for (let y = 0; y < 8; y++) {
+        let nibble = 0;
+        for (let x = 0; x < 8; x++) {
+            nibble = (nibble << 1) | (grey(y * 9 + x) < grey(y * 9 + x + 1) ? 1 : 0);
+            if (x % 4 === 3) { hex += nibble.toString(16); nibble = 0; }
+        }
+    }
+    return hex;
+}
+
+/**
+ * Encode as PNG (keeps transparency).
+ */
+function encodePng(image) {
+    return PNG.sync.write({ width: image.width, height: image.height, data: asBuffer(image.data) });
+}
+
+/**
+ * Encode as JPEG. Transparent pixels are flattened onto the slideshow's
+ * dark background so they don't turn black-on-black unpredictably.
+ */
+function encodeJpeg(image, quality = 80) {
+    const data = Buffer.from(image.data);
+    const bg = [10, 10, 15];
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        if (alpha === 1) continue;
+        data[i] = data[i] * alpha + bg[0] * (1 - alpha);
+        data[i + 1] = data[i + 1] * alpha + bg[1] * (1 - alpha);
+        data[i + 2] = data[i + 2] * alpha + bg[2] * (1 - alpha);
+        data[i + 3] = 255;
+    }
+    return jpeg.encode({ width: image.width, height: image.height, data }, quality).data;
+}
+
+module.exports = { decode, resize, orient, dhash, encodeJpeg, encodePng };
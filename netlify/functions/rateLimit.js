@@ -0,0 +1,77 @@
+// netlify/functions/rateLimit.js
+// Per-IP request limits for the public write endpoints (likes, reactions,
+// comments, voter tokens). Fixed windows, counted in one small blob per bucket
+// and IP in the Netlify Blobs store "rate-limits", so counting never touches
+// the shared documents in storage.js. IPs are only stored as a short hash; a
+// counter whose window has passed is started over in place.
+// Without Blobs (plain local runs) the counters live in process memory.
+// Limits are per client IP, and guests at an event often share one: keep them
+// well above what a room of people liking memes produces.
+
+const crypto = require('crypto');
+const { connectBlobs, blobStore } = require('./storage');
+
+const LIMIT_STORE = 'rate-limits';
+const MAX_ATTEMPTS = 4;
+
+const memoryCounters = new Map();
+
+/**
+ * Client IP as seen by Netlify's edge.
+ */
+function clientIp(event) {
+    const headers = event.headers || {};
+    return headers['x-nf-client-connection-ip'] || (headers['x-forwarded-for'] || '').split(',')[0].trim() || 'unknown';
+}
+
+function counterStore(event) {
+    try {
+        connectBlobs(event);
+        return blobStore(LIMIT_STORE);
+    } catch (err) {
+        return null;
+    }
+}
+
+// Next counter for a hit, or null once the window's limit is reached
+function nextCounter(current, { limit, windowMs }, now) {
+    const counter = current && current.until > now ? current : { count: 0, until: now + windowMs };
+    return counter.count >= limit ? null : { count: counter.count + 1, until: counter.until };
+}
+
+const limited = (until, now) => ({ limited: true, retryAfter: Math.max(1, Math.ceil((until - now) / 1000)) });
+
+async function hitBlob(store, key, options) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const now = Date.now();
+        const current = await store.getWithMetadata(key, { type: 'json' });
+        const next = nextCounter(current && current.data, options, now);
+        if (!next) return limited(current.data.until, now);
+        const result = await store.setJSON(key, next, current ? { onlyIfMatch: current.etag } : { onlyIfNew: true });
+        if (result.modified) return { limited: false };
+    }
+    // Only a burst from this very IP loses every race
+    return limited(Date.now() + 1000, Date.now());
+}
+
+function hitMemory(key, options) {
+    const now = Date.now();
+    const current = memoryCounters.get(key);
+    const next = nextCounter(current, options, now);
+    if (!next) return limited(current.until, now);
+    memoryCounters.set(key, next);
+    return { limited: false };
+}
+
+/**
+ * Count a request against `bucket` for the caller's IP. Resolves with
+ * { limited: false } or, once `limit` requests were made in the window,
+ * { limited: true, retryAfter } (seconds); limited requests are not counted.
+ */
+async function hitRateLimit(event, bucket, { limit, windowMs }) {
+    const key = `${bucket}/${crypto.createHash('sha256').update(clientIp(event)).digest('hex').slice(0, 16)}`;
+    const store = counterStore(event);
+    return store ? hitBlob(store, key, { limit, windowMs }) : hitMemory(key, { limit, windowMs });
+}
+
+module.exports = { clientIp, hitRateLimit };
@@ -0,0 +1,72 @@
+// netlify/functions/react.js
+// Emoji reactions on a meme, one of each per voter (see votes.js).
+// POST   /.netlify/functions/react { gallery, submissionId, reaction, token } → add
+// DELETE /.netlify/functions/react { gallery, submissionId, reaction, token } → take back
+//   → { success, reaction, count, reacted }; repeating either is a no-op
+// `reaction` is one of REACTIONS (entries.js), `token` comes from voter.js.
+// Rate limited per IP together with likes (LIKE_RATE_LIMIT per minute).
+
+const { createStore } = require('./storage');
+const { REACTIONS, entriesKey, isPublic } = require('./entries');
+const { getGallery } = require('./config');
+const { verifyVoterToken, castVote } = require('./votes');
+const { hitRateLimit } = require('./rateLimit');
+
+const LIKE_LIMIT = parseInt(process.env.LIKE_RATE_LIMIT || '120', 10);
+const LIKE_WINDOW_MS = 60 * 1000;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+};
+
+function respond(statusCode, payload, headers = {}) {
+    return { statusCode, headers: { ...CORS_HEADERS, ...headers }, body: JSON.stringify(payload) };
+}
+
+exports.handler = async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+    }
+
+    if (event.httpMethod !== 'POST' && event.httpMethod !== 'DELETE') {
+        return { statusCode: 405, headers: CORS_HEADERS, body: 'Method Not Allowed' };
+    }
+
+    try {
+        const { submissionId, reaction, token, gallery: galleryId } = JSON.parse(event.body || '{}');
+        if (!submissionId || !Object.prototype.hasOwnProperty.call(REACTIONS, reaction)) {
+            return respond(400, { error: `submissionId and a reaction (${Object.keys(REACTIONS).join(', ')}) are required` });
+        }
+        const gallery = getGallery(galleryId);
+        if (!gallery) {
+            return respond(404, { error: 'Unknown gallery' });
+        }
+
+        const store = createStore(event);
+        const voterId = await verifyVoterToken(store, token);
+        if (!voterId) {
+            return respond(401, { error: 'Invalid voter token' });
+        }
+
+        const rate = await hitRateLimit(event, 'like', { limit: LIKE_LIMIT, windowMs: LIKE_WINDOW_MS });
+        if (rate.limited) {
+            return respond(429, { error: 'Too many requests' }, { 'Retry-After': String(rate.retryAfter) });
+        }
+
+        const { data: entries } = await store.read(entriesKey(gallery.id), []);
+        const entry = entries.find(s => s.submissionId === submissionId && isPublic(s));
+        if (!entry) {
+            return respond(404, { error: 'Submission not found' });
+        }
+
+        const { count, on } = await castVote(store, gallery.id, entry, voterId, event.httpMethod === 'POST', reaction);
+        return respond(200, { success: true, reaction, count, reacted: on });
+    } catch (err) {
+        console.error('Reaction error:', err);
+        return respond(500, { error: err.message });
+    }
+};
@@ -0,0 +1,318 @@
+// netlify/functions/storage.js
+// Shared persistence layer. Every function reads and writes documents through a
+// backend adapter chosen with STORAGE_BACKEND:
+//   blobs (default) — Netlify Blobs (store name: STORAGE_BLOBS_STORE)
+//   jsonbin         — JSONBin.io bins, read-only: for looking at a deployment
+//                     that has not moved to blobs yet (see below)
+//   file            — JSON files under STORAGE_DIR, for offline development
+//   memory          — process-local Map, for tests and scripts
+//
+// Writes are compare-and-swap: write(key, data, version) only succeeds if the
+// document is still at `version`, otherwise it throws a ConflictError.
+// update(key, mutator) wraps read → mutate → write in a retry loop, so
+// concurrent webhook, sync and like calls never overwrite each other.
+// version(key) is the document's current version; adapters that can get it
+// without downloading the document (all but JSONBin) set `cheapVersions`.
+// versions(prefix) lists the versions of every document whose key starts with
+// `prefix`, for documents kept in many small keys (votes.js); it is null on
+// JSONBin, which can't list.
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const JSONBIN_API_KEY = process.env.JSONBIN_API_KEY;
+const JSONBIN_BASE = 'https://api.jsonbin.io/v3';
+const MAX_RETRIES = 6;
+
+class ConflictError extends Error {
+    constructor(key) {
+        super(`Write conflict on "${key}"`);
+        this.name = 'ConflictError';
+        this.key = key;
+    }
+}
+
+class ReadOnlyError extends Error {
+    constructor(key) {
+        super(`Cannot write "${key}": JSONBin storage is read-only, set STORAGE_BACKEND=blobs`);
+        this.name = 'ReadOnlyError';
+        this.key = key;
+    }
+}
+
+const clone = (data) => (data === null || data === undefined ? data : JSON.parse(JSON.stringify(data)));
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ── JSONBin adapter ───────────────────────────────────────────────────────────
+// JSONBin has no conditional PUT: two writers can both pass a revision check
+// and the later PUT silently wins, losing likes or webhook deliveries. So it is
+// only an import source. Its documents are read (the revision lives inside
+// them: arrays carry an `{ init: true, rev }` marker item, objects a `_rev`
+// field), and every write throws a ReadOnlyError.
+//
+// Documents are found through JSONBIN_BINS ({ "<key>": "<bin id>" };
+// JSONBIN_BIN_ID still works for `submissions`). A key without a bin reads as
+// missing, so only the documents an old deployment actually had need one:
+//   webhook-deliveries, media-index, sync-schedule, voter-secret and per
+//   gallery: submissions, sync-state, sync-seen, votes, deleted, audit-log,
+//   pre-restore — suffixed "/<gallery id>" except for the default gallery
+//
+// Moving a JSONBin deployment to blobs: keep JSONBIN_API_KEY and the bin
+// settings, and the blobs adapter copies each document over the first time it
+// is read.
+
+function jsonbinBins() {
+    let bins = {};
+    if (process.env.JSONBIN_BINS) {
+        try { bins = JSON.parse(process.env.JSONBIN_BINS); } catch (e) {
+            console.error('JSONBIN_BINS is not valid JSON:', e.message);
+        }
+    }
+    if (!bins.submissions && process.env.JSONBIN_BIN_ID) bins.submissions = process.env.JSONBIN_BIN_ID;
+    return bins;
+}
+
+function unwrapJsonbin(doc) {
+    if (Array.isArray(doc)) {
+        const marker = doc.find(s => s && s.init);
+        return { data: doc.filter(s => !(s && s.init)), version: (marker && marker.rev) || 0 };
+    }
+    if (doc && typeof doc === 'object') {
+        const { _rev, ...data } = doc;
+        return { data, version: _rev || 0 };
+    }
+    return { data: null, version: 0 };
+}
+
+async function readBin(binId, key) {
+    const res = await fetch(`${JSONBIN_BASE}/b/${binId}/latest`, {
+        headers: { 'X-Master-Key': JSONBIN_API_KEY, 'X-Bin-Meta': 'false' },
+    });
+    if (!res.ok) throw new Error(`JSONBin read ${key}: ${res.status}`);
+    return unwrapJsonbin(await res.json());
+}
+
+function jsonbinAdapter() {
+    const bins = jsonbinBins();
+    if (!JSONBIN_API_KEY) throw new Error('STORAGE_BACKEND=jsonbin needs JSONBIN_API_KEY');
+
+    async function read(key) {
+        return bins[key] ? readBin(bins[key], key) : { data: null, version: null };
+    }
+
+    async function write(key) {
+        throw new ReadOnlyError(key);
+    }
+
+    return { name: 'jsonbin', read, write };
+}
+
+// ── Netlify Blobs ─────────────────────────────────────────────────────────────
+// Lambda-style functions must hand their event to connectLambda before any
+// Blobs call. createStore() does it for every backend, so other modules (media
+// uploads) can use blobStore() once the handler has created its store.
+
+function connectBlobs(event) {
+    if (event && event.blobs) require('@netlify/blobs').connectLambda(event);
+}
+
+/**
+ * A named Netlify Blobs store with strong consistency.
+ */
+function blobStore(name) {
+    return require('@netlify/blobs').getStore({ name, consistency: 'strong' });
+}
+
+// Blobs supports real conditional writes: the ETag is the version.
+// A document missing here but with a JSONBin bin configured is copied over
+// (once: the copy only lands if the key is still new).
+function blobsAdapter() {
+    const store = blobStore(process.env.STORAGE_BLOBS_STORE || 'slideshow');
+    const bins = JSONBIN_API_KEY ? jsonbinBins() : {};
+
+    async function importBin(key) {
+        const { data } = await readBin(bins[key], key);
+        if (data === null) return null;
+        const result = await store.setJSON(key, data, { onlyIfNew: true });
+        if (result.modified) console.log(`Imported "${key}" from JSONBin`);
+        return store.getWithMetadata(key, { type: 'json' });
+    }
+
+    async function read(key) {
+        let result = await store.getWithMetadata(key, { type: 'json' });
+        if (!result && bins[key]) result = await importBin(key);
+        if (!result) return { data: null, version: null };
+        return { data: result.data, version: result.etag };
+    }
+
+    async function write(key, data, version) {
+        const options = version ? { onlyIfMatch: version } : { onlyIfNew: true };
+        const result = await store.setJSON(key, data, options);
+        if (!result.modified) throw new ConflictError(key);
+        return result.etag;
+    }
+
+    async function version(key) {
+        const result = await store.getMetadata(key);
+        return result ? result.etag : null;
+    }
+
+    async function versions(prefix) {
+        const { blobs } = await store.list({ prefix });
+        return Object.fromEntries(blobs.map(blob => [blob.key, blob.etag]));
+    }
+
+    return { name: 'blobs', read, write, version, versions };
+}
+
+// ── File / memory adapters ────────────────────────────────────────────────────
+// Both keep `{ rev, data }` records. Compare and swap happen synchronously, so
+// they are atomic within a single process (netlify dev, tests).
+
+function fileAdapter() {
+    const dir = process.env.STORAGE_DIR || path.join(process.cwd(), '.netlify', 'storage');
+    const fileFor = (key) => path.join(dir, encodeURIComponent(key) + '.json');
+
+    function load(key) {
+        try { return JSON.parse(fs.readFileSync(fileFor(key), 'utf-8')); } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    async function read(key) {
+        const record = load(key);
+        return record ? { data: record.data, version: record.rev } : { data: null, version: null };
+    }
+
+    async function write(key, data, version) {
+        const record = load(key);
+        if ((record ? record.rev : null) !== (version || null)) throw new ConflictError(key);
+        const rev = (record ? record.rev : 0) + 1;
+        fs.mkdirSync(dir, { recursive: true });
+        const tmp = fileFor(key) + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify({ rev, data }, null, 2));
+        fs.renameSync(tmp, fileFor(key));
+        return rev;
+    }
+
+    async function version(key) {
+        const record = load(key);
+        return record ? record.rev : null;
+    }
+
+    async function versions(prefix) {
+        let files = [];
+        try { files = fs.readdirSync(dir); } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+        const keys = files.filter(file => file.endsWith('.json')).map(file => decodeURIComponent(file.slice(0, -5)));
+        return Object.fromEntries(keys.filter(key => key.startsWith(prefix)).map(key => [key, load(key).rev]));
+    }
+
+    return { name: 'file', read, write, version, versions };
+}
+
+const memoryRecords = new Map();
+
+function memoryAdapter() {
+    async function read(key) {
+        const record = memoryRecords.get(key);
+        return record ? { data: clone(record.data), version: record.rev } : { data: null, version: null };
+    }
+
+    async function write(key, data, version) {
+        const record = memoryRecords.get(key);
+        if ((record ? record.rev : null) !== (version || null)) throw new ConflictError(key);
+        const rev = (record ? record.rev : 0) + 1;
+        memoryRecords.set(key, { rev, data: clone(data) });
+        return rev;
+    }
+
+    async function version(key) {
+        const record = memoryRecords.get(key);
+        return record ? record.rev : null;
+    }
+
+    async function versions(prefix) {
+        return Object.fromEntries([...memoryRecords].filter(([key]) => key.startsWith(prefix)).map(([key, record]) => [key, record.rev]));
+    }
+
+    return { name: 'memory', read, write, version, versions };
+}
+
+const ADAPTERS = { jsonbin: jsonbinAdapter, blobs: blobsAdapter, file: fileAdapter, memory: memoryAdapter };
+
+// ── Store ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Create a store for the configured backend.
+ * Pass the Lambda event so Netlify Blobs can pick up its context.
+ */
+function createStore(event, backend = process.env.STORAGE_BACKEND || 'blobs') {
+    const factory = ADAPTERS[backend];
+    if (!factory) throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+    connectBlobs(event);
+    const adapter = factory();
+
+    /**
+     * Read a document. Returns { data, version }; data is `fallback` when the
+     * document does not exist yet.
+     */
+    async function read(key, fallback = null) {
+        const result = await adapter.read(key);
+        return { data: result.data === null || result.data === undefined ? fallback : result.data, version: result.version };
+    }
+
+    /**
+     * Compare-and-swap write. Throws ConflictError if the document is no longer
+     * at `version`. Returns the new version.
+     */
+    function write(key, data, version) {
+        return adapter.write(key, data, version);
+    }
+
+    /**
+     * Current version of a document (null when it does not exist). A full read
+     * on backends without cheapVersions.
+     */
+    async function version(key) {
+        return adapter.version ? adapter.version(key) : (await adapter.read(key)).version;
+    }
+
+    /**
+     * { [key]: version } of every document whose key starts with `prefix`, or
+     * null when the backend can't list.
+     */
+    async function versions(prefix) {
+        return adapter.versions ? adapter.versions(prefix) : null;
+    }
+
+    /**
+     * Read → mutate → write with retry on conflict. The mutator receives a copy
+     * of the current data and returns the next value, or undefined to leave the
+     * document untouched. It may run several times, so it must not have side
+     * effects beyond the data it returns.
+     * Resolves with { data, version, changed }.
+     */
+    async function update(key, mutator, { fallback = null, retries = MAX_RETRIES } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            const current = await read(key, fallback);
+            const next = await mutator(clone(current.data));
+            if (next === undefined) return { data: current.data, version: current.version, changed: false };
+            try {
+                const version = await adapter.write(key, next, current.version);
+                return { data: next, version, changed: true };
+            } catch (err) {
+                if (!(err instanceof ConflictError) || attempt >= retries) throw err;
+                console.warn(`Storage conflict on "${key}", retrying (${attempt + 1}/${retries})`);
+                await sleep(50 * 2 ** attempt + Math.random() * 100);
+            }
+        }
+    }
+
+    return { backend: adapter.name, cheapVersions: Boolean(adapter.version), read, write, version, versions, update };
+}
+
+module.exports = { createStore, connectBlobs, blobStore, ConflictError, ReadOnlyError };
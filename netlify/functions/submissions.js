@@ -1,20 +1,122 @@
 // netlify/functions/submissions.js
-// Returns all submissions stored in JSONBin.io
+// Returns the approved submissions shown on the public slideshow
+// GET /.netlify/functions/submissions?gallery=<id>   (default gallery when omitted)
+//     → the full list, with an ETag; If-None-Match answers 304 when nothing changed
+// GET /.netlify/functions/submissions?gallery=<id>&since=<updatedAt>
+//     → { cursor, ids, changed }: the ordered ids of every public entry plus the
+//       entries changed after `since`. Cards missing from `ids` were removed or hidden.
+//       Pass `cursor` as the next `since`.
+// Add &wait=1 (with If-None-Match) to long-poll: the request is held until the
+// list changes or LONG_POLL_MS pass, then answers as above or with 304. While
+// held, only the document versions are checked (storage.js version()); on
+// backends where that means reading the whole document (JSONBin) the request
+// isn't held at all. X-Poll-Interval says how many seconds clients should wait
+// between requests.
+//
+// Both forms take optional filters, applied in this order:
+//   q=<text>              name (or author) contains the text, case-insensitive
+//   from=<date>&to=<date> submitted within the window (ISO dates, either end optional)
+//   sort=newest|oldest|likes   (by default pinned entries, then storage order: newest first)
+//   offset=<n>&limit=<n>  one page of the full list (limit at most MAX_LIMIT); without
+//                         either, everything comes back. X-Total-Count holds the unpaged
+//                         count. Delta `ids` always cover every matching entry.
 
-const fetch = require('node-fetch');
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { entriesKey, isPublic, publicView } = require('./entries');
+const { getGallery } = require('./config');
+const { readVotes, votesVersion, withCounts } = require('./votes');
 
-const JSONBIN_API_KEY = process.env.JSONBIN_API_KEY;
-const JSONBIN_BIN_ID = process.env.JSONBIN_BIN_ID;
-const JSONBIN_BASE = 'https://api.jsonbin.io/v3';
+const LONG_POLL_MS = 8000; // stays under the 10s function timeout
+const POLL_INTERVAL_MS = 2000;
+// Every check is a full, billed read without cheap versions: poll as rarely as
+// the slideshow always did
+const SLOW_POLL_INTERVAL_MS = 30000;
+const SINCE_OVERLAP_MS = 5000; // re-send recent changes, in case function clocks disagree
+const MAX_LIMIT = 500;
 
 const CORS_HEADERS = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag, X-Total-Count, X-Poll-Interval',
     'Content-Type': 'application/json',
-    'Cache-Control': 'no-store, no-cache, must-revalidate',
+    'Cache-Control': 'no-cache, must-revalidate',
 };
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toTime = (value) => (value && !Number.isNaN(Date.parse(value)) ? Date.parse(value) : null);
+const submittedAt = (entry) => toTime(entry.timestamp) || 0;
+
+const SORTS = {
+    newest: (a, b) => submittedAt(b) - submittedAt(a),
+    oldest: (a, b) => submittedAt(a) - submittedAt(b),
+    likes: (a, b) => (b.likes || 0) - (a.likes || 0),
+};
+const toCount = (value, fallback) => (/^\d+$/.test(value || '') ? parseInt(value, 10) : fallback);
+
+/**
+ * Parse the filter parameters. Returns the query, or { error } for a bad one.
+ */
+function parseQuery(params) {
+    if (params.sort && !SORTS[params.sort]) return { error: `Unknown sort: ${params.sort}` };
+    const query = {
+        q: (params.q || '').trim().toLowerCase(),
+        from: toTime(params.from),
+        to: toTime(params.to),
+        sort: params.sort || null,
+        offset: toCount(params.offset, 0),
+        // Pages only when asked for one
+        limit: params.offset || params.limit ? Math.min(toCount(params.limit, MAX_LIMIT), MAX_LIMIT) : null,
+    };
+    if ((params.from && query.from === null) || (params.to && query.to === null)) return { error: 'from/to must be dates' };
+    return query;
+}
+
+function select(submissions, { q, from, to, sort }) {
+    let list = submissions;
+    if (q) list = list.filter(s => [s.name, s.author].some(text => text && String(text).toLowerCase().includes(q)));
+    if (from !== null || to !== null) {
+        list = list.filter(s => {
+            const time = toTime(s.timestamp);
+            return time !== null && (from === null || time >= from) && (to === null || time <= to);
+        });
+    }
+    // Array.prototype.sort is stable: ties keep storage order
+    if (sort) list = [...list].sort(SORTS[sort]);
+    else list = [...list].sort((a, b) => Boolean(b.pinned) - Boolean(a.pinned));
+    return list;
+}
+
+async function readPublic(store, galleryId, query) {
+    const { data, version } = await store.read(entriesKey(galleryId), []);
+    // Only approved, visible entries with an imageUrl reach the projector
+    const entries = Array.isArray(data) ? data : [];
+    const { votes, version: votesAt } = await readVotes(store, galleryId, entries.filter(isPublic).map(e => e.submissionId));
+    const all = withCounts(entries, votes);
+    const matching = select(all.filter(isPublic).map(publicView), query);
+    const submissions = query.limit === null ? matching : matching.slice(query.offset, query.offset + query.limit);
+    const etag = '"' + crypto.createHash('sha1').update(JSON.stringify([query.offset, query.limit, matching])).digest('hex') + '"';
+    const cursor = all.reduce((latest, e) => (e.updatedAt && e.updatedAt > latest ? e.updatedAt : latest), '');
+    return { submissions, matching, total: matching.length, etag, cursor, versions: [version, votesAt] };
+}
+
+async function changedSince(store, galleryId, versions) {
+    const latest = await Promise.all([store.version(entriesKey(galleryId)), votesVersion(store, galleryId)]);
+    return latest.some((version, i) => version !== versions[i]);
+}
+
+// Deltas ignore offset/limit: a client that drops cards missing from `ids` needs all of them
+function delta({ matching, cursor }, since) {
+    const from = new Date(Date.parse(since) - SINCE_OVERLAP_MS).toISOString();
+    return {
+        cursor: cursor || since,
+        ids: matching.map(s => s.submissionId),
+        changed: matching.filter(s => s.updatedAt && s.updatedAt > from),
+    };
+}
+
 exports.handler = async (event) => {
     if (event.httpMethod === 'OPTIONS') {
         return { statusCode: 200, headers: CORS_HEADERS, body: '' };
@@ -25,32 +127,44 @@ exports.handler = async (event) => {
     }
 
     try {
-        const res = await fetch(`${JSONBIN_BASE}/b/${JSONBIN_BIN_ID}/latest`, {
-            headers: {
-                'X-Master-Key': JSONBIN_API_KEY,
-                'X-Bin-Meta': 'false',
-            },
-        });
+        const params = event.queryStringParameters || {};
+        const gallery = getGallery(params.gallery);
+        if (!gallery) {
+            return { statusCode: 404, headers: CORS_HEADERS, body: JSON.stringify({ error: 'Unknown gallery' }) };
+        }
 
-        if (!res.ok) {
-            const errText = await res.text();
-            return {
-                statusCode: res.status,
-                headers: CORS_HEADERS,
-                body: JSON.stringify({ error: 'JSONBin error', detail: errText }),
-            };
+        const query = parseQuery(params);
+        if (query.error) {
+            return { statusCode: 400, headers: CORS_HEADERS, body: JSON.stringify({ error: query.error }) };
         }
 
-        const data = await res.json();
-        // Filter out the init placeholder and any entry without an imageUrl
-        const submissions = Array.isArray(data)
-            ? data.filter(s => s && s.imageUrl && !s.init)
-            : [];
+        const store = createStore(event);
+        const ifNoneMatch = (event.headers || {})['if-none-match'];
+        const since = params.since && !Number.isNaN(Date.parse(params.since)) ? params.since : null;
+
+        let current = await readPublic(store, gallery.id, query);
+        if (params.wait && ifNoneMatch && store.cheapVersions) {
+            const until = Date.now() + LONG_POLL_MS;
+            while (current.etag === ifNoneMatch && Date.now() + POLL_INTERVAL_MS < until) {
+                await sleep(POLL_INTERVAL_MS);
+                if (await changedSince(store, gallery.id, current.versions)) current = await readPublic(store, gallery.id, query);
+            }
+        }
+
+        const headers = {
+            ...CORS_HEADERS,
+            ETag: current.etag,
+            'X-Total-Count': String(current.total),
+            'X-Poll-Interval': String((store.cheapVersions ? POLL_INTERVAL_MS : SLOW_POLL_INTERVAL_MS) / 1000),
+        };
+        if (current.etag === ifNoneMatch) {
+            return { statusCode: 304, headers, body: '' };
+        }
 
         return {
             statusCode: 200,
-            headers: CORS_HEADERS,
-            body: JSON.stringify(submissions),
+            headers,
+            body: JSON.stringify(since ? delta(current, since) : current.submissions),
         };
     } catch (err) {
         console.error('Submissions fetch error:', err);
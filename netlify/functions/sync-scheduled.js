@@ -0,0 +1,40 @@
+// netlify/functions/sync-scheduled.js
+// Scheduled Jotform sync (schedule in netlify.toml). Gives every gallery a step
+// of the resumable sync job within the scheduled-function time limit; progress
+// is persisted, so long backfills simply continue on the next tick.
+// Each tick starts with the gallery after the last one the previous tick got
+// to (kept in the `sync-schedule` document), so when the budget runs out the
+// galleries at the end of the list still get their turn.
+
+const { createStore } = require('./storage');
+const { getGalleries } = require('./config');
+const { runSync } = require('./syncJob');
+
+const BUDGET_MS = 20000; // scheduled functions get 30s
+const SCHEDULE_KEY = 'sync-schedule';
+
+exports.handler = async (event) => {
+    const store = createStore(event);
+    const deadline = Date.now() + BUDGET_MS;
+    const results = {};
+    const galleries = getGalleries();
+    const { data: schedule } = await store.read(SCHEDULE_KEY, {});
+    const start = galleries.findIndex(g => g.id === schedule.next);
+    const order = [...galleries.slice(Math.max(start, 0)), ...galleries.slice(0, Math.max(start, 0))];
+
+    for (const [i, gallery] of order.entries()) {
+        const budgetMs = deadline - Date.now();
+        if (budgetMs <= 1000) break;
+        const next = order[(i + 1) % order.length].id;
+        try {
+            results[gallery.id] = await runSync(store, gallery.id, { budgetMs });
+        } catch (err) {
+            console.error(`Scheduled sync ${gallery.id} failed:`, err);
+            results[gallery.id] = { status: 'error', error: err.message };
+        }
+        if (order.length > 1) await store.update(SCHEDULE_KEY, () => ({ next }), { fallback: {} });
+    }
+
+    console.log('Scheduled sync:', JSON.stringify(results));
+    return { statusCode: 200, body: JSON.stringify(results) };
+};
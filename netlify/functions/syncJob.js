@@ -0,0 +1,276 @@
+// netlify/functions/syncJob.js
+// Resumable Jotform → storage sync, shared by the scheduled function
+// (sync-scheduled.js) and the manual trigger (sync.js).
+//
+// Each run works for a time budget and persists where it stopped, per gallery,
+// in the `sync-state` document:
+//   cursor   — position of the current pass over every Jotform submission of the
+//              gallery's forms: { form, offset, seen, startedAt }, `seen` being
+//              how many active submissions the pass has met so far
+//   queue    — submissions that failed to ingest, retried with exponential backoff
+//   dead     — submissions that failed MAX_ATTEMPTS times, or whose files were
+//              refused (RejectedFileError, see imageUtils.js), kept for the status endpoint
+//   lease    — { owner, until }: one run per gallery at a time
+//   lastRun / lastPass — summaries for the status endpoint
+// The ids of those active submissions, needed for pruning at the end of a pass,
+// are kept apart in `sync-seen` ({ pass: startedAt, ids }), written once per run,
+// so the state document stays small however big the forms get.
+//
+// Every submission seen is run through ingest.js: new ones are added, edited ones
+// updated in place, and ones Jotform lists as deleted or disabled removed at once.
+// Submissions an admin deleted (see moderate.js) are skipped.
+// A pass pages through Jotform with offset/limit. Offsets over Jotform's list can
+// still shift when submissions are deleted mid-pass, so an entry that was not
+// seen is only pruned after asking Jotform about it directly; anything skipped
+// is picked up by the next pass.
+
+const crypto = require('crypto');
+const { galleryKey, entriesKey, deletedKey } = require('./entries');
+const { prepareSubmission, applyChanges } = require('./ingest');
+const { RejectedFileError } = require('./imageUtils');
+const { getSubmission, getFormSubmissions } = require('./jotform');
+const { getForms, getForm } = require('./config');
+const { fromApi } = require('./forms');
+
+const PAGE_SIZE = 100;
+const FLUSH_EVERY = 5; // save new entries after this many, so a timeout loses little work
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const LEASE_GRACE_MS = 30 * 1000;
+const MAX_DEAD = 100;
+
+const stateKey = (galleryId) => galleryKey(galleryId, 'sync-state');
+const seenKey = (galleryId) => galleryKey(galleryId, 'sync-seen');
+const isActive = (sub) => String(sub.status || '').toUpperCase() === 'ACTIVE';
+
+const initialState = () => ({ cursor: null, queue: [], dead: [], lease: null, lastRun: null, lastPass: null });
+
+/**
+ * Delay before retry number `attempts` (1-based): 1 min, 2, 4, … capped at 6 h.
+ */
+function retryDelay(attempts) {
+    return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+}
+
+/**
+ * Run one time-boxed step of the sync for a gallery. Resolves with the run
+ * summary, or { skipped: 'running' } when another run holds the lease.
+ */
+async function runSync(store, galleryId, { budgetMs = 8000 } = {}) {
+    const startedAt = Date.now();
+    const deadline = startedAt + budgetMs;
+    const outOfTime = () => Date.now() >= deadline;
+    const owner = crypto.randomUUID();
+    const key = entriesKey(galleryId);
+
+    const { data: leased, changed } = await store.update(stateKey(galleryId), (state) => {
+        if (state.lease && state.lease.until > Date.now()) return undefined;
+        return { ...initialState(), ...state, lease: { owner, until: deadline + LEASE_GRACE_MS } };
+    }, { fallback: initialState() });
+    if (!changed) return { skipped: 'running', lease: leased.lease };
+
+    const state = leased;
+    const summary = { added: 0, updated: 0, retried: 0, failed: 0, removed: 0 };
+    const { data: stored } = await store.read(key, []);
+    const { data: deleted } = await store.read(deletedKey(galleryId), {});
+    const known = new Map(stored.filter(e => e.submissionId).map(e => [e.submissionId, e]));
+    let pending = [];
+    let removals = new Set();
+
+    const inQueue = (id) => state.queue.some(q => q.submissionId === id) || state.dead.some(q => q.submissionId === id);
+
+    function fail(item, err) {
+        const attempts = (item.attempts || 0) + 1;
+        const failed = { ...item, attempts, lastError: err.message, lastAttemptAt: new Date().toISOString() };
+        state.queue = state.queue.filter(q => q.submissionId !== item.submissionId);
+        summary.failed++;
+        if (err instanceof RejectedFileError) {
+            console.error(`✗ Rejected ${item.submissionId}:`, err.message);
+            state.dead = [failed, ...state.dead].slice(0, MAX_DEAD);
+        } else if (attempts >= MAX_ATTEMPTS) {
+            console.error(`✗ Giving up on ${item.submissionId} after ${attempts} attempts:`, err.message);
+            state.dead = [failed, ...state.dead].slice(0, MAX_DEAD);
+        } else {
+            console.error(`✗ Failed ${item.submissionId} (attempt ${attempts}):`, err.message);
+            state.queue.push({ ...failed, nextAttemptAt: new Date(Date.now() + retryDelay(attempts)).toISOString() });
+        }
+    }
+
+    async function flush() {
+        if (pending.length === 0 && removals.size === 0) return;
+        const [changes, removed] = [pending, removals];
+        pending = [];
+        removals = new Set();
+        await store.update(key, (latest) => applyChanges(latest, changes, removed), { fallback: [] });
+    }
+
+    // Add, update or remove the entry for a submission
+    async function handle(sub, retryItem) {
+        state.queue = state.queue.filter(q => q.submissionId !== sub.id);
+        if (deleted[sub.id]) return;
+        if (!isActive(sub)) {
+            if (known.has(sub.id)) {
+                console.log(`Removing ${String(sub.status).toLowerCase()} submission: ${sub.id}`);
+                removals.add(sub.id);
+                known.delete(sub.id);
+                summary.removed++;
+            }
+            return;
+        }
+        const form = getForm(sub.form_id);
+        if (!form) return;
+        try {
+            const change = await prepareSubmission(known.get(sub.id), {
+                form, submissionId: sub.id, mapped: fromApi(form, sub), timestamp: sub.created_at,
+            });
+            if (!change) return;
+            pending.push(change);
+            if (change.action === 'add') {
+                known.set(sub.id, change.entry);
+                summary[retryItem ? 'retried' : 'added']++;
+                console.log(`✓ Added: ${sub.id}`);
+            } else {
+                known.set(sub.id, { ...known.get(sub.id), ...change.patch });
+                if (change.edited) {
+                    summary.updated++;
+                    console.log(`✓ Updated: ${sub.id}`);
+                }
+            }
+        } catch (err) {
+            fail(retryItem || { submissionId: sub.id, formId: sub.form_id }, err);
+        }
+        if (pending.length + removals.size >= FLUSH_EVERY) await flush();
+    }
+
+    try {
+        // 1. Retry queue: due items first, re-fetched so edits since the failure count
+        const due = state.queue.filter(q => Date.parse(q.nextAttemptAt) <= Date.now());
+        for (const item of due) {
+            if (outOfTime()) break;
+            const sub = await getSubmission(item.submissionId);
+            if (sub) await handle(sub, item);
+            else state.queue = state.queue.filter(q => q.submissionId !== item.submissionId);
+        }
+
+        // 2. Resume the pass over every submission of the gallery's forms
+        const forms = getForms(galleryId);
+        if (!state.cursor) state.cursor = { form: 0, offset: 0, seen: 0, startedAt: new Date().toISOString() };
+        const cursor = state.cursor;
+        const seen = new Set();
+        if (Array.isArray(cursor.seen)) {
+            cursor.seen.forEach(id => seen.add(id)); // state saved before sync-seen existed
+        } else if (cursor.seen) {
+            const { data } = await store.read(seenKey(galleryId), null);
+            if (data && data.pass === cursor.startedAt) data.ids.forEach(id => seen.add(id));
+        }
+        const seenBefore = Array.isArray(cursor.seen) ? -1 : seen.size;
+        while (cursor.form < forms.length && !outOfTime()) {
+            const page = await getFormSubmissions(forms[cursor.form].id, { offset: cursor.offset, limit: PAGE_SIZE });
+            let done = 0;
+            for (const sub of page) {
+                if (outOfTime()) break;
+                done++;
+                if (isActive(sub)) seen.add(sub.id);
+                if (!inQueue(sub.id)) await handle(sub);
+            }
+            cursor.offset += done;
+            if (done === page.length && page.length < PAGE_SIZE) {
+                cursor.form++;
+                cursor.offset = 0;
+            }
+        }
+        await flush();
+        if (seen.size !== seenBefore) {
+            await store.update(seenKey(galleryId), () => ({ pass: cursor.startedAt, ids: [...seen] }), { fallback: null });
+        }
+        cursor.seen = seen.size;
+
+        // 3. End of pass: prune entries Jotform no longer has as active
+        if (cursor.form >= forms.length && !outOfTime()) {
+            const formIds = new Set(forms.map(f => f.id));
+            const { data: latest } = await store.read(key, []);
+            const unseen = latest.filter(e => e.submissionId && !seen.has(e.submissionId) && (!e.formId || formIds.has(e.formId)));
+            const stale = new Set();
+            let checked = 0;
+            for (const entry of unseen) {
+                if (outOfTime()) break;
+                const sub = await getSubmission(entry.submissionId);
+                if (!sub || !isActive(sub)) stale.add(entry.submissionId);
+                checked++;
+            }
+            if (stale.size > 0) {
+                await store.update(key, (entries) => applyChanges(entries, [], stale), { fallback: [] });
+                stale.forEach(id => console.log(`Pruning stale submission: ${id}`));
+                summary.removed += stale.size;
+            }
+            if (checked === unseen.length) {
+                state.lastPass = { startedAt: cursor.startedAt, finishedAt: new Date().toISOString(), active: seen.size, removed: stale.size };
+                state.cursor = null;
+            }
+        }
+
+        state.lastRun = { startedAt: new Date(startedAt).toISOString(), finishedAt: new Date().toISOString(), status: 'ok', ...summary };
+    } catch (err) {
+        console.error(`Sync ${galleryId} failed:`, err);
+        await flush().catch(e => console.error('Saving synced entries failed:', e.message));
+        state.lastRun = { startedAt: new Date(startedAt).toISOString(), finishedAt: new Date().toISOString(), status: 'error', error: err.message, ...summary };
+    }
+
+    // Only the lease holder writes the state, so our copy is the latest
+    await store.update(stateKey(galleryId), (latest) => {
+        if (!latest.lease || latest.lease.owner !== owner) {
+            console.warn(`Sync ${galleryId}: lease lost, not saving progress`);
+            return undefined;
+        }
+        return { ...state, lease: null };
+    }, { fallback: initialState() });
+
+    return { ...state.lastRun, passComplete: state.cursor === null };
+}
+
+/**
+ * Progress and last-run status of a gallery's sync, for the status endpoint.
+ */
+async function syncStatus(store, galleryId) {
+    const { data: state } = await store.read(stateKey(galleryId), initialState());
+    const now = Date.now();
+    const cursor = state.cursor;
+    const forms = getForms(galleryId);
+    return {
+        running: Boolean(state.lease && state.lease.until > now),
+        pass: cursor ? {
+            startedAt: cursor.startedAt,
+            form: forms[cursor.form] ? forms[cursor.form].id : null,
+            formIndex: cursor.form,
+            forms: forms.length,
+            offset: cursor.offset,
+            seen: Array.isArray(cursor.seen) ? cursor.seen.length : cursor.seen,
+        } : null,
+        queue: (state.queue || []).map(({ submissionId, attempts, nextAttemptAt, lastError }) => ({ submissionId, attempts, nextAttemptAt, lastError })),
+        dead: state.dead || [],
+        lastRun: state.lastRun || null,
+        lastPass: state.lastPass || null,
+    };
+}
+
+/**
+ * Move submissions the sync gave up on back into the retry queue, due now.
+ * Resolves with { requeued }, or { skipped: 'running' } while a run holds the
+ * lease: its final state write would drop the requeued items.
+ */
+async function requeueDead(store, galleryId) {
+    let count = 0;
+    const { data: state } = await store.update(stateKey(galleryId), (latest) => {
+        if (latest.lease && latest.lease.until > Date.now()) return undefined;
+        count = (latest.dead || []).length;
+        if (count === 0) return undefined;
+        const now = new Date().toISOString();
+        const revived = latest.dead.map(item => ({ ...item, attempts: 0, nextAttemptAt: now }));
+        return { ...latest, queue: [...(latest.queue || []), ...revived], dead: [] };
+    }, { fallback: initialState() });
+    if (state.lease && state.lease.until > Date.now()) return { skipped: 'running', lease: state.lease };
+    return { requeued: count };
+}
+
+module.exports = { MAX_ATTEMPTS, retryDelay, runSync, syncStatus, requeueDead };
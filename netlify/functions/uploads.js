@@ -0,0 +1,205 @@
+// netlify/functions/uploads.js
+// Pluggable hosting for processed media. Every provider implements
+//   put(key, buffer, contentType) → public URL
+//   find(key)                     → public URL if the object already exists, else null
+// and says whether it can host video, and up to what size (`maxImageBytes`) it
+// can serve an image. Keys are content hashes, so storing the same bytes twice
+// is a no-op on providers that support lookups.
+//
+//   imgbb — images only, no lookup by key (IMGBB_API_KEY)
+//   blobs — Netlify Blobs store "media", served by the media function at /media/<key>
+//   s3    — any S3-compatible bucket (AWS, R2, MinIO): S3_ENDPOINT, S3_BUCKET,
+//           S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, optional S3_PUBLIC_URL
+//           and S3_ACL (e.g. public-read). Path-style URLs, signed with SigV4.
+//
+// UPLOAD_PROVIDER picks the provider for images (default imgbb).
+// VIDEO_UPLOAD_PROVIDER picks it for video (default: UPLOAD_PROVIDER if it can
+// host video, otherwise blobs).
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { blobStore, createStore } = require('./storage');
+
+const IMGBB_API_KEY = process.env.IMGBB_API_KEY;
+const MEDIA_STORE = 'media';
+const INDEX_KEY = 'media-index';
+// Largest response the media function sends: 4 MB raw ≈ 5.3 MB base64, under
+// the 6 MB function response limit. Bigger blobs are only served in ranges.
+const MEDIA_CHUNK_BYTES = 4 * 1024 * 1024;
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp',
+    'video/mp4': 'mp4', 'video/webm': 'webm',
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Content-addressed object key: sha256 of the bytes plus an extension.
+ */
+function contentKey(buffer, contentType) {
+    return `${sha256(buffer)}.${EXTENSIONS[contentType] || 'bin'}`;
+}
+
+// ── imgbb ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Upload image buffer to imgbb. Returns permanent public URL.
+ */
+async function uploadToImgbb(imageBuffer) {
+    const base64 = imageBuffer.toString('base64');
+    const body = new URLSearchParams();
+    body.append('key', IMGBB_API_KEY);
+    body.append('image', base64);
+    const res = await fetch('https://api.imgbb.com/1/upload', { method: 'POST', body });
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(`imgbb: ${JSON.stringify(json)}`);
+    return json.data.url;
+}
+
+const imgbbProvider = {
+    name: 'imgbb',
+    video: false,
+    maxImageBytes: Infinity,
+    put: (key, buffer) => uploadToImgbb(buffer),
+    find: async () => null,
+};
+
+// ── Netlify Blobs ─────────────────────────────────────────────────────────────
+
+const blobsProvider = {
+    name: 'blobs',
+    video: true,
+    // <img> never sends Range, so an image has to fit in one media response
+    maxImageBytes: MEDIA_CHUNK_BYTES,
+    async put(key, buffer, contentType) {
+        const data = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        await blobStore(MEDIA_STORE).set(key, data, { metadata: { contentType, size: buffer.length } });
+        return `/media/${key}`;
+    },
+    async find(key) {
+        return (await blobStore(MEDIA_STORE).getMetadata(key)) ? `/media/${key}` : null;
+    },
+};
+
+// ── S3-compatible ─────────────────────────────────────────────────────────────
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Sign a request with AWS Signature Version 4 and return the headers to send.
+ */
+function signS3Request({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const all = { ...headers, host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const names = Object.keys(all).map(h => h.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(all).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+    const canonicalHeaders = names.map(h => `${h}:${lower[h]}\n`).join('');
+    const signedHeaders = names.join(';');
+    const canonicalUri = url.pathname.split('/').map(s => encodeURIComponent(decodeURIComponent(s))).join('/');
+    const canonicalRequest = [method, canonicalUri, url.searchParams.toString(), canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    return {
+        ...all,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+}
+
+function s3Provider() {
+    const endpoint = (process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`).replace(/\/$/, '');
+    const bucket = process.env.S3_BUCKET;
+    const publicBase = (process.env.S3_PUBLIC_URL || `${endpoint}/${bucket}`).replace(/\/$/, '');
+    const credentials = {
+        region: process.env.S3_REGION || 'us-east-1',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    };
+
+    async function request(method, key, { body, headers = {} } = {}) {
+        if (!bucket) throw new Error('S3_BUCKET is not configured');
+        const url = new URL(`${endpoint}/${bucket}/${key}`);
+        const payloadHash = sha256(body || '');
+        const signed = signS3Request({ method, url, headers, payloadHash, ...credentials });
+        return fetch(url.toString(), { method, headers: signed, body });
+    }
+
+    return {
+        name: 's3',
+        video: true,
+        maxImageBytes: Infinity,
+        async put(key, buffer, contentType) {
+            const headers = { 'content-type': contentType, 'cache-control': 'public, max-age=31536000, immutable' };
+            if (process.env.S3_ACL) headers['x-amz-acl'] = process.env.S3_ACL;
+            const res = await request('PUT', key, { body: buffer, headers });
+            if (!res.ok) throw new Error(`S3 PUT ${key}: ${res.status} ${await res.text()}`);
+            return `${publicBase}/${key}`;
+        },
+        async find(key) {
+            const res = await request('HEAD', key);
+            if (res.status === 404) return null;
+            if (!res.ok) throw new Error(`S3 HEAD ${key}: ${res.status}`);
+            return `${publicBase}/${key}`;
+        },
+    };
+}
+
+const PROVIDERS = { imgbb: () => imgbbProvider, blobs: () => blobsProvider, s3: s3Provider };
+
+function getProvider(name) {
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown upload provider "${name}"`);
+    return factory();
+}
+
+/**
+ * Provider for a content type, following UPLOAD_PROVIDER / VIDEO_UPLOAD_PROVIDER.
+ */
+function providerFor(contentType) {
+    const images = getProvider(process.env.UPLOAD_PROVIDER || 'imgbb');
+    if (!contentType.startsWith('video/')) return images;
+    if (process.env.VIDEO_UPLOAD_PROVIDER) return getProvider(process.env.VIDEO_UPLOAD_PROVIDER);
+    return images.video ? images : blobsProvider;
+}
+
+/**
+ * Store a file with the provider for its type, reusing the existing object
+ * when the provider already holds these bytes. Returns { url, provider, key }.
+ */
+async function storeFile(buffer, contentType) {
+    const provider = providerFor(contentType);
+    const key = contentKey(buffer, contentType);
+    const url = (await provider.find(key)) || (await provider.put(key, buffer, contentType));
+    return { url, provider: provider.name, key };
+}
+
+// ── Processed-media index ─────────────────────────────────────────────────────
+// Maps the sha256 of an original upload to the media item built from it, so a
+// re-run sync or the same meme submitted twice reuses the stored objects (and
+// their variants) even on providers without lookups, like imgbb.
+// Records are { v, item }, `v` being the caller's processing version: a record
+// from an older pipeline (or a bare item from before versions) is not found,
+// and the re-processed item replaces it.
+
+async function findProcessed(hash, version) {
+    const { data } = await createStore().read(INDEX_KEY, {});
+    const record = data[hash];
+    return record && record.v === version ? record.item : null;
+}
+
+async function rememberProcessed(hash, item, version) {
+    await createStore().update(INDEX_KEY, (index) => {
+        if (index[hash] && index[hash].v === version) return undefined;
+        index[hash] = { v: version, item };
+        return index;
+    }, { fallback: {} });
+}
+
+module.exports = {
+    MEDIA_STORE, MEDIA_CHUNK_BYTES, sha256, contentKey, uploadToImgbb, signS3Request, getProvider, providerFor, storeFile, findProcessed, rememberProcessed,
+};
@@ -0,0 +1,47 @@
+// netlify/functions/voter.js
+// Issues the anonymous voter token the slideshow sends with likes (see votes.js).
+// POST /.netlify/functions/voter   → { token }
+// The page keeps the token in localStorage; issuing is rate limited per IP
+// (VOTER_TOKEN_RATE_LIMIT tokens per hour) so votes can't be multiplied by
+// minting voters.
+
+const { createStore } = require('./storage');
+const { issueVoterToken } = require('./votes');
+const { hitRateLimit } = require('./rateLimit');
+
+const TOKEN_LIMIT = parseInt(process.env.VOTER_TOKEN_RATE_LIMIT || '200', 10);
+const TOKEN_WINDOW_MS = 60 * 60 * 1000;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+};
+
+exports.handler = async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+    }
+
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, headers: CORS_HEADERS, body: 'Method Not Allowed' };
+    }
+
+    try {
+        const store = createStore(event);
+        const rate = await hitRateLimit(event, 'voter', { limit: TOKEN_LIMIT, windowMs: TOKEN_WINDOW_MS });
+        if (rate.limited) {
+            return {
+                statusCode: 429,
+                headers: { ...CORS_HEADERS, 'Retry-After': String(rate.retryAfter) },
+                body: JSON.stringify({ error: 'Too many requests' }),
+            };
+        }
+        return { statusCode: 200, headers: CORS_HEADERS, body: JSON.stringify({ token: await issueVoterToken(store) }) };
+    } catch (err) {
+        console.error('Voter token error:', err);
+        return { statusCode: 500, headers: CORS_HEADERS, body: JSON.stringify({ error: err.message }) };
+    }
+};
@@ -0,0 +1,327 @@
+// netlify/functions/votes.js
+// Recorded likes and reactions. Every like is a vote by an anonymous voter,
+// kept in one small document per entry, so votes on different entries never
+// contend for the same write:
+//   vote-records/<gallery id>/<submissionId>
+//     → { [submissionId]: { voters: { [voterId]: likedAt }, legacy, rev, at } }
+// Reactions are recorded the same way under "<submissionId>#<reaction>".
+// `legacy` is the count an entry had before votes were recorded (adopted the
+// first time it is voted on or recounted), `rev` increases with every change,
+// made at `at`.
+// A vote only writes its entry's document. Served entries get their counts
+// from readVotes() through withCounts(); the `likes` / `likesRev` (and
+// `reactions` / `reactionsRev`) stored on an entry are a cached copy that
+// recountLikes(), resetLikes() and alignLikes() bring up to date, and that
+// counts as the legacy count for entries voted on for the first time.
+// Galleries voted on before records were split keep the old single `votes`
+// document: it is read for entries without a document of their own, and an
+// entry's records move out of it with its next change.
+//
+// Voters are identified by a token the page gets from voter.js: a random id
+// signed with VOTER_SECRET (or, when unset, a secret generated once and kept in
+// storage), so ids can't be made up without asking the server for them.
+
+const crypto = require('crypto');
+const { galleryKey, entriesKey, touch } = require('./entries');
+
+const SECRET_KEY = 'voter-secret';
+const recordsPrefix = (galleryId) => `vote-records/${galleryId}/`;
+const votesKey = (galleryId, submissionId) => recordsPrefix(galleryId) + submissionId;
+const legacyVotesKey = (galleryId) => galleryKey(galleryId, 'votes');
+
+const countOf = (record) => (record.legacy || 0) + Object.keys(record.voters || {}).length;
+
+// Where the count of a votes record is cached on its entry
+const LIKES = {
+    record: (submissionId) => submissionId,
+    get: (entry) => [entry.likes || 0, entry.likesRev || 0],
+    set: (entry, count, rev) => { entry.likes = count; entry.likesRev = rev; },
+};
+
+function reactionSlot(reaction) {
+    return {
+        record: (submissionId) => `${submissionId}#${reaction}`,
+        get: (entry) => [(entry.reactions || {})[reaction] || 0, (entry.reactionsRev || {})[reaction] || 0],
+        set: (entry, count, rev) => {
+            entry.reactions = { ...entry.reactions, [reaction]: count };
+            entry.reactionsRev = { ...entry.reactionsRev, [reaction]: rev };
+        },
+    };
+}
+
+function slotOf(recordId) {
+    const [submissionId, reaction] = recordId.split('#');
+    return { submissionId, reaction, slot: reaction ? reactionSlot(reaction) : LIKES };
+}
+
+// The generated secret never changes, so a warm function reads it once
+let storedSecret = null;
+
+async function voterSecret(store) {
+    if (process.env.VOTER_SECRET) return process.env.VOTER_SECRET;
+    if (storedSecret) return storedSecret;
+    const { data } = await store.update(SECRET_KEY, (current) => (
+        current && current.secret ? undefined : { secret: crypto.randomBytes(32).toString('hex') }
+    ), { fallback: null });
+    storedSecret = data.secret;
+    return storedSecret;
+}
+
+const sign = (secret, voterId) => crypto.createHmac('sha256', secret).update(voterId).digest('base64url');
+
+/**
+ * Issue a new voter token: "<voterId>.<signature>".
+ */
+async function issueVoterToken(store) {
+    const voterId = crypto.randomUUID();
+    return `${voterId}.${sign(await voterSecret(store), voterId)}`;
+}
+
+/**
+ * The voter id in a token, or null if the token is malformed or not ours.
+ */
+async function verifyVoterToken(store, token) {
+    const [voterId, signature, extra] = String(token || '').split('.');
+    if (!voterId || !signature || extra !== undefined) return null;
+    const expected = Buffer.from(sign(await voterSecret(store), voterId));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? voterId : null;
+}
+
+// ── Records ───────────────────────────────────────────────────────────────────
+
+// Records a warm function already read, by key: { version, data }
+const recordsCache = new Map();
+
+// The records of some entries in the old per-gallery document
+function legacyRecords(legacy, submissionIds) {
+    const wanted = new Set(submissionIds);
+    return Object.fromEntries(Object.entries(legacy || {}).filter(([recordId]) => wanted.has(slotOf(recordId).submissionId)));
+}
+
+const signature = (legacyVersion, listed) => listed && crypto.createHash('sha1')
+    .update(JSON.stringify([legacyVersion, Object.entries(listed).sort()])).digest('hex');
+
+/**
+ * The vote records of some entries, merged into one { [recordId]: record }.
+ * Only documents that exist are read, and only once per version on a warm
+ * function. `version` changes whenever any of the gallery's records do (null
+ * on backends that can't list, see storage.js versions()).
+ */
+async function readVotes(store, galleryId, submissionIds) {
+    const [listed, legacy] = await Promise.all([
+        store.versions(recordsPrefix(galleryId)),
+        store.read(legacyVotesKey(galleryId), {}),
+    ]);
+    const ids = [...new Set(submissionIds)];
+    const own = await Promise.all(ids.map(async (id) => {
+        const key = votesKey(galleryId, id);
+        if (listed && !(key in listed)) return null;
+        const cached = recordsCache.get(`${store.backend}:${key}`);
+        if (listed && cached && cached.version === listed[key]) return cached.data;
+        const { data, version } = await store.read(key, null);
+        if (data) recordsCache.set(`${store.backend}:${key}`, { version, data });
+        return data;
+    }));
+    const votes = legacyRecords(legacy.data, ids.filter((id, i) => !own[i]));
+    own.forEach(records => Object.assign(votes, records));
+    return { votes, version: signature(legacy.version, listed) };
+}
+
+/**
+ * Current version of a gallery's vote records as a whole, as readVotes()
+ * reports it, without reading them.
+ */
+async function votesVersion(store, galleryId) {
+    const [listed, legacyVersion] = await Promise.all([
+        store.versions(recordsPrefix(galleryId)),
+        store.version(legacyVotesKey(galleryId)),
+    ]);
+    return signature(legacyVersion, listed);
+}
+
+// store.update() on an entry's records, starting from its part of the old
+// document when it has none of its own yet. Resolves with the records.
+async function updateRecords(store, galleryId, submissionId, mutator) {
+    let current;
+    const { data, changed } = await store.update(votesKey(galleryId, submissionId), async (records) => {
+        current = records || legacyRecords((await store.read(legacyVotesKey(galleryId), {})).data, [submissionId]);
+        return mutator(current);
+    }, { fallback: null });
+    return changed ? data : current;
+}
+
+/**
+ * Record a voter liking (on = true) or unliking an entry, or adding / taking
+ * back a reaction when `reaction` is given. Repeating a vote changes nothing.
+ * `entry` is the stored entry, whose current count becomes the legacy count of
+ * a first vote. Resolves with { count, on, changed }.
+ */
+async function castVote(store, galleryId, entry, voterId, on, reaction = null) {
+    const slot = reaction ? reactionSlot(reaction) : LIKES;
+    const recordId = slot.record(entry.submissionId);
+    let result;
+    await updateRecords(store, galleryId, entry.submissionId, (records) => {
+        const record = records[recordId] || { voters: {}, legacy: slot.get(entry)[0], rev: 0 };
+        const changed = Boolean(record.voters[voterId]) !== on;
+        if (changed) {
+            const now = new Date().toISOString();
+            if (on) record.voters[voterId] = now;
+            else delete record.voters[voterId];
+            record.rev++;
+            record.at = now;
+            records[recordId] = record;
+        }
+        result = { count: countOf(record), changed };
+        return changed ? records : undefined;
+    });
+    return { count: result.count, on, changed: result.changed };
+}
+
+/**
+ * Entries with the counts of their votes records in place of the cached ones,
+ * for serving. An entry's `updatedAt` moves up to its latest vote, so live
+ * updates (submissions.js deltas) pick up new counts.
+ */
+function withCounts(entries, votes) {
+    const records = new Map();
+    Object.entries(votes || {}).forEach(([recordId, record]) => {
+        const { submissionId, slot } = slotOf(recordId);
+        if (!records.has(submissionId)) records.set(submissionId, []);
+        records.get(submissionId).push({ slot, record });
+    });
+    return entries.map(entry => {
+        const own = records.get(entry.submissionId);
+        if (!own) return entry;
+        const counted = { ...entry };
+        own.forEach(({ slot, record }) => {
+            slot.set(counted, countOf(record), record.rev);
+            if (record.at && !(counted.updatedAt >= record.at)) counted.updatedAt = record.at;
+        });
+        return counted;
+    });
+}
+
+/**
+ * Per-entry comparison of cached and recorded like counts, for the admin audit.
+ * Votes leave the cache behind until the next recount. With a submissionId, that entry's voters are included.
+ */
+async function auditVotes(store, galleryId, submissionId) {
+    const { data } = await store.read(entriesKey(galleryId), []);
+    const entries = data.filter(e => e.submissionId && (!submissionId || e.submissionId === submissionId));
+    const { votes } = await readVotes(store, galleryId, entries.map(e => e.submissionId));
+    return entries.map(e => {
+        const record = votes[e.submissionId];
+        const row = {
+            submissionId: e.submissionId,
+            likes: e.likes || 0,
+            recorded: record ? countOf(record) : null,
+            voters: record ? Object.keys(record.voters).length : 0,
+            legacy: record ? record.legacy || 0 : e.likes || 0,
+        };
+        row.drift = row.recorded !== null && row.recorded !== row.likes;
+        if (submissionId && record) row.votes = record.voters;
+        return row;
+    });
+}
+
+// Write the counts of the votes records onto their entries. Resolves with the
+// counts that changed: [{ submissionId, reaction?, from, to }].
+async function cacheCounts(store, galleryId, votes) {
+    let fixed = [];
+    await store.update(entriesKey(galleryId), (latest) => {
+        fixed = [];
+        const byId = new Map(latest.map(e => [e.submissionId, e]));
+        const touched = new Set();
+        Object.entries(votes).forEach(([recordId, record]) => {
+            const { submissionId, reaction, slot } = slotOf(recordId);
+            const entry = byId.get(submissionId);
+            if (!entry) return;
+            const count = countOf(record);
+            const [cached, rev] = slot.get(entry);
+            if (cached === count && rev === record.rev) return;
+            if (cached !== count) fixed.push({ submissionId, ...(reaction ? { reaction } : {}), from: cached, to: count });
+            slot.set(entry, count, record.rev);
+            touched.add(entry);
+        });
+        touched.forEach(touch);
+        return touched.size ? latest : undefined;
+    }, { fallback: [] });
+    return fixed;
+}
+
+// Run updateRecords() on several entries. Resolves with all their records.
+async function updateEach(store, galleryId, submissionIds, mutator) {
+    const all = await Promise.all([...new Set(submissionIds)].map(id => updateRecords(store, galleryId, id, (records) => mutator(records, id))));
+    return Object.assign({}, ...all);
+}
+
+/**
+ * Rebuild every entry's cached like and reaction counts from the recorded
+ * votes. Entries never liked keep their count, adopted as legacy. Resolves with
+ * the counts that changed: [{ submissionId, reaction?, from, to }].
+ */
+async function recountLikes(store, galleryId) {
+    const { data: entries } = await store.read(entriesKey(galleryId), []);
+    const ids = entries.filter(e => e.submissionId).map(e => e.submissionId);
+    const { votes } = await readVotes(store, galleryId, ids);
+    const unrecorded = entries.filter(e => e.submissionId && e.likes && !votes[e.submissionId]);
+    const likesOf = new Map(unrecorded.map(e => [e.submissionId, e.likes]));
+    const adopted = await updateEach(store, galleryId, [...likesOf.keys()], (records, id) => {
+        if (records[id]) return undefined;
+        records[id] = { voters: {}, legacy: likesOf.get(id), rev: 0 };
+        return records;
+    });
+    return cacheCounts(store, galleryId, { ...votes, ...adopted });
+}
+
+/**
+ * Drop the recorded likes of some entries and set their counts to zero.
+ * Their voters can like them again.
+ */
+async function resetLikes(store, galleryId, submissionIds) {
+    const votes = await updateEach(store, galleryId, submissionIds, (records, id) => {
+        records[id] = { voters: {}, legacy: 0, rev: ((records[id] && records[id].rev) || 0) + 1, at: new Date().toISOString() };
+        return records;
+    });
+    return cacheCounts(store, galleryId, votes);
+}
+
+/**
+ * Make the recorded likes agree with restored entries: the legacy part of each
+ * record absorbs the difference (a count below the recorded voters becomes the
+ * voter count).
+ */
+async function alignLikes(store, galleryId, entries) {
+    const likesOf = new Map(entries.map(e => [e.submissionId, e.likes || 0]));
+    const votes = await updateEach(store, galleryId, [...likesOf.keys()], (records, id) => {
+        const record = records[id] || { voters: {}, legacy: 0, rev: 0 };
+        const legacy = Math.max(0, likesOf.get(id) - Object.keys(record.voters).length);
+        if (records[id] ? record.legacy === legacy : !legacy) return undefined;
+        records[id] = { ...record, legacy, rev: record.rev + 1, at: new Date().toISOString() };
+        return records;
+    });
+    return cacheCounts(store, galleryId, votes);
+}
+
+/**
+ * Replace the recorded votes of some entries with those of a snapshot
+ * ({ [recordId]: record }, as readVotes() returns them); entries the snapshot
+ * has no records for are left with none.
+ */
+async function replaceVotes(store, galleryId, submissionIds, votes) {
+    const byEntry = {};
+    Object.entries(votes).forEach(([recordId, record]) => {
+        const { submissionId } = slotOf(recordId);
+        byEntry[submissionId] = { ...byEntry[submissionId], [recordId]: record };
+    });
+    await updateEach(store, galleryId, [...submissionIds, ...Object.keys(byEntry)], (records, id) => {
+        const next = byEntry[id] || {};
+        return JSON.stringify(records) === JSON.stringify(next) ? undefined : next;
+    });
+}
+
+module.exports = {
+    votesKey, issueVoterToken, verifyVoterToken, castVote, readVotes, votesVersion, withCounts, auditVotes,
+    recountLikes, resetLikes, alignLikes, replaceVotes,
+};
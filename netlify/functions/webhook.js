@@ -1,12 +1,31 @@
 // netlify/functions/webhook.js
-// Receives Jotform webhook, downloads+resizes image, re-uploads to imgbb, saves to JSONBin
-
-const fetch = require('node-fetch');
-const { processImage } = require('./imageUtils');
-
-const JSONBIN_API_KEY = process.env.JSONBIN_API_KEY;
-const JSONBIN_BIN_ID = process.env.JSONBIN_BIN_ID;
-const JSONBIN_BASE = 'https://api.jsonbin.io/v3';
+// Receives Jotform webhook, downloads the uploaded files, re-hosts them (see uploads.js), saves to storage
+//
+// Every delivery must be authenticated with WEBHOOK_SECRET, either
+//   - as a query token:  /.netlify/functions/webhook?token=<secret>   (Jotform's own webhooks)
+//   - or as an HMAC:     X-Webhook-Timestamp: <unix seconds>
+//                        X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// The submissionID is then looked up in the Jotform API and must belong to one
+// of our forms. Byte-identical redeliveries are rejected as replays.
+//
+// Deliveries for a submission we already have are edits (Jotform sends them when
+// a submission is edited): the entry is updated in place through ingest.js. A
+// delivery for a submission that is no longer active removes its entry.
+// Files imageUtils.js refuses (wrong format, too large) get a 422.
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { entriesKey, deletedKey } = require('./entries');
+const { prepareSubmission, applyChanges } = require('./ingest');
+const { RejectedFileError } = require('./imageUtils');
+const { safeEqual } = require('./auth');
+const { getSubmission } = require('./jotform');
+const { getForm } = require('./config');
+const { fromWebhook, fromApi } = require('./forms');
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const SIGNATURE_TOLERANCE_S = 300; // accepted clock skew for signed deliveries
+const DELIVERY_TTL_MS = 24 * 60 * 60 * 1000; // how long delivery digests are remembered
 
 // ── Decode body ───────────────────────────────────────────────────────────────
 function decodeBody(event) {
@@ -30,36 +49,76 @@ function parseMultipart(body, boundary) {
   return fields;
 }
 
-// ── Extract name + Jotform image URL ─────────────────────────────────────────
-function extractFields(fields) {
-  let raw = {};
-  if (fields.rawRequest) { try { raw = JSON.parse(fields.rawRequest); } catch (e) { } }
-  const name = raw.q3_nomePagina || fields.q3_nomePagina || null;
-  let jotformUrl = null;
-  if (raw.caricaFile && Array.isArray(raw.caricaFile) && raw.caricaFile.length > 0) {
-    jotformUrl = raw.caricaFile[0];
+// ── Authentication ────────────────────────────────────────────────────────────
+function rawBodyBuffer(event) {
+  if (!event.body) return Buffer.alloc(0);
+  return Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf-8');
+}
+
+// Returns null when the request is authentic, otherwise the rejection reason
+function authenticate(event, rawBody) {
+  const headers = event.headers || {};
+  const params = event.queryStringParameters || {};
+  const signature = headers['x-webhook-signature'];
+
+  if (signature) {
+    const timestamp = parseInt(headers['x-webhook-timestamp'] || '', 10);
+    if (!timestamp) return 'missing X-Webhook-Timestamp';
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_S) return 'stale signature timestamp';
+    const expected = crypto.createHmac('sha256', WEBHOOK_SECRET)
+      .update(`${timestamp}.`).update(rawBody).digest('hex');
+    return safeEqual(signature.replace(/^sha256=/, ''), expected) ? null : 'bad signature';
   }
-  return { name, jotformUrl };
+
+  if (params.token) return safeEqual(params.token, WEBHOOK_SECRET) ? null : 'bad token';
+  return 'missing token or signature';
 }
 
-// ── JSONBin helpers ───────────────────────────────────────────────────────────
-async function getBin() {
-  const res = await fetch(`${JSONBIN_BASE}/b/${JSONBIN_BIN_ID}/latest`, {
-    headers: { 'X-Master-Key': JSONBIN_API_KEY, 'X-Bin-Meta': 'false' },
-  });
-  if (!res.ok) return [];
-  const data = await res.json();
-  return Array.isArray(data) ? data.filter(s => !s.init) : [];
+function reject(event, statusCode, reason) {
+  const ip = (event.headers || {})['x-nf-client-connection-ip'] || 'unknown';
+  console.warn(`Webhook rejected (${statusCode}): ${reason} | ip: ${ip}`);
+  return { statusCode, body: JSON.stringify({ error: reason }) };
 }
 
-async function updateBin(submissions) {
-  await fetch(`${JSONBIN_BASE}/b/${JSONBIN_BIN_ID}`, {
-    method: 'PUT',
-    headers: { 'Content-Type': 'application/json', 'X-Master-Key': JSONBIN_API_KEY },
-    body: JSON.stringify(submissions),
-  });
+// ── Replay protection ─────────────────────────────────────────────────────────
+// Digests of accepted payloads are kept for DELIVERY_TTL_MS. A digest is only
+// recorded once the delivery succeeded, so Jotform's retries after a failure
+// still go through.
+function deliveryDigest(rawBody) {
+  return crypto.createHash('sha256').update(rawBody).digest('hex');
 }
 
+async function isReplay(store, digest) {
+  const { data } = await store.read('webhook-deliveries', {});
+  return Boolean(data[digest]);
+}
+
+async function recordDelivery(store, digest) {
+  const now = Date.now();
+  await store.update('webhook-deliveries', (deliveries) => {
+    const fresh = {};
+    Object.entries(deliveries).forEach(([key, at]) => { if (now - at < DELIVERY_TTL_MS) fresh[key] = at; });
+    fresh[digest] = now;
+    return fresh;
+  }, { fallback: {} });
+}
+
+// ── Jotform cross-check ───────────────────────────────────────────────────────
+// Resolves with { submission } when it exists, is active and belongs to one of
+// our forms; otherwise with the rejection, and `gone: true` when the submission
+// was deleted or disabled on Jotform.
+async function verifySubmission(submissionId, payloadFormId) {
+  const submission = await getSubmission(submissionId);
+  if (!submission) return { statusCode: 403, reason: `unknown submission ${submissionId}`, gone: true };
+  if (!getForm(submission.form_id)) return { statusCode: 403, reason: `unknown form ${submission.form_id}` };
+  if (payloadFormId && String(payloadFormId) !== String(submission.form_id)) {
+    return { statusCode: 403, reason: `form mismatch (${payloadFormId} vs ${submission.form_id})` };
+  }
+  if (String(submission.status || '').toUpperCase() !== 'ACTIVE') {
+    return { statusCode: 403, reason: `submission ${submissionId} is not active`, gone: true };
+  }
+  return { submission };
+}
 
 // ── Handler ───────────────────────────────────────────────────────────────────
 exports.handler = async (event) => {
@@ -70,7 +129,20 @@ exports.handler = async (event) => {
     return { statusCode: 405, body: 'Method Not Allowed' };
   }
 
+  if (!WEBHOOK_SECRET) {
+    console.error('Webhook rejected: WEBHOOK_SECRET is not configured');
+    return { statusCode: 503, body: JSON.stringify({ error: 'Webhook not configured' }) };
+  }
+
+  const rawBody = rawBodyBuffer(event);
+  const authError = authenticate(event, rawBody);
+  if (authError) return reject(event, 401, authError);
+
   try {
+    const store = createStore(event);
+    const digest = deliveryDigest(rawBody);
+    if (await isReplay(store, digest)) return reject(event, 403, 'replayed delivery');
+
     // Parse multipart payload from Jotform
     const body = decodeBody(event);
     const contentType = event.headers['content-type'] || '';
@@ -86,28 +158,80 @@ exports.handler = async (event) => {
       for (const [k, v] of params.entries()) fields[k] = v;
     }
 
-    const { name, jotformUrl } = extractFields(fields);
+    // Map the form's configured questions onto entry fields
+    const form = getForm(fields.formID);
+    if (!form) return reject(event, 403, `unknown form ${fields.formID}`);
+    const { name, files, extra } = fromWebhook(form, fields);
     const submissionId = fields.submissionID || null;
-    console.log('Extracted → name:', name, '| jotformUrl:', jotformUrl, '| submissionId:', submissionId);
+    console.log('Extracted → name:', name, '| files:', files.length, '| submissionId:', submissionId);
 
-    if (!jotformUrl) {
+    if (!submissionId) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'No submissionID found in payload' }) };
+    }
+    if (files.length === 0) {
       return { statusCode: 400, body: JSON.stringify({ error: 'No image URL found in payload' }) };
     }
 
-    console.log('Processing image (download → resize → imgbb)…');
-    const imageUrl = await processImage(jotformUrl);
-    console.log('imgbb URL:', imageUrl);
+    const key = entriesKey(form.gallery);
+    const { data: deleted } = await store.read(deletedKey(form.gallery), {});
+    if (deleted[submissionId]) {
+      await recordDelivery(store, digest);
+      return { statusCode: 200, body: JSON.stringify({ success: true, skipped: true, reason: 'deleted by admin' }) };
+    }
+    const verified = await verifySubmission(submissionId, fields.formID);
+    if (!verified.submission) {
+      // Deleted or disabled on Jotform: drop the entry if we have it
+      if (verified.gone) {
+        const { changed } = await store.update(key, (entries) => applyChanges(entries, [], new Set([submissionId])), { fallback: [] });
+        if (changed) {
+          await recordDelivery(store, digest);
+          console.log(`Removed ${submissionId}: ${verified.reason}`);
+          return { statusCode: 200, body: JSON.stringify({ success: true, removed: true }) };
+        }
+      }
+      return reject(event, verified.statusCode, verified.reason);
+    }
 
-    // Save to JSONBin
-    const submissions = await getBin();
-    // Avoid duplicates: skip if submissionId already exists
-    if (submissionId && submissions.some(s => s.submissionId === submissionId)) {
+    // The API copy is what the sync sees too, so both compute the same fingerprint;
+    // the payload is only used if the API does not list the files yet
+    const fromJotform = fromApi(form, verified.submission);
+    const mapped = fromJotform.files.length ? fromJotform : { name, files, extra };
+
+    const { data: existing } = await store.read(key, []);
+    const entry = existing.find(s => s.submissionId === submissionId);
+    if (!entry) console.log(`Processing ${files.length} file(s) (download → variants → upload)…`);
+    let change;
+    try {
+      change = await prepareSubmission(entry, { form, submissionId, mapped, timestamp: new Date().toISOString() });
+    } catch (err) {
+      if (!(err instanceof RejectedFileError)) throw err;
+      // Redelivering the same file won't help: remember the delivery and refuse it
+      await recordDelivery(store, digest);
+      return reject(event, 422, err.message);
+    }
+    if (!change) {
+      await recordDelivery(store, digest);
+      return { statusCode: 200, body: JSON.stringify({ success: true, skipped: true, reason: entry ? 'unchanged' : 'no files' }) };
+    }
+
+    // Save to storage; applyChanges re-checks against the latest data in case
+    // Jotform retried the delivery (or the sync added it) while we were uploading
+    const { changed } = await store.update(key, (submissions) => applyChanges(submissions, [change]), { fallback: [] });
+
+    await recordDelivery(store, digest);
+
+    if (!changed) {
       return { statusCode: 200, body: JSON.stringify({ success: true, skipped: true, reason: 'duplicate' }) };
     }
-    submissions.unshift({ name, imageUrl, submissionId, timestamp: new Date().toISOString() });
-    await updateBin(submissions);
 
-    return { statusCode: 200, body: JSON.stringify({ success: true, imageUrl }) };
+    if (change.action === 'update') {
+      console.log(`Updated ${submissionId}:`, Object.keys(change.patch).join(', '));
+      return { statusCode: 200, body: JSON.stringify({ success: true, updated: change.edited, gallery: form.gallery, status: change.patch.status }) };
+    }
+
+    const added = change.entry;
+    console.log('Stored URLs:', added.images.map(image => image.url).join(', '));
+    return { statusCode: 200, body: JSON.stringify({ success: true, imageUrl: added.imageUrl, images: added.images.length, gallery: form.gallery, status: added.status }) };
 
   } catch (err) {
     console.error('Webhook error:', err);
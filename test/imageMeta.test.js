@@ -0,0 +1,54 @@
+// Metadata stripping and what happens to files that don't parse.
+const test = require('node:test');
+const assert = require('node:assert');
+const jpeg = require('jpeg-js');
+const { CorruptImageError, stripMetadata } = require('../netlify/functions/imageMeta');
+const { cleanImage, RejectedFileError } = require('../netlify/functions/imageUtils');
+
+function sampleJpeg() {
+    const data = Buffer.alloc(16 * 16 * 4, 200);
+    const encoded = jpeg.encode({ width: 16, height: 16, data }, 90).data;
+    const comment = Buffer.concat([Buffer.from([0xff, 0xfe, 0x00, 0x0a]), Buffer.from('secret!!')]);
+    return Buffer.concat([encoded.slice(0, 2), comment, encoded.slice(2)]);
+}
+
+// 1×1 GIF: header, global colour table, one image, trailer
+function sampleGif() {
+    return Buffer.concat([
+        Buffer.from('GIF89a', 'latin1'),
+        Buffer.from([1, 0, 1, 0, 0x80, 0, 0]),
+        Buffer.from([0, 0, 0, 255, 255, 255]),
+        Buffer.from([0x21, 0xfe, 3]), Buffer.from('hi!', 'latin1'), Buffer.from([0]),
+        Buffer.from([0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0]),
+        Buffer.from([2, 2, 0x44, 0x01, 0]),
+        Buffer.from([0x3b]),
+    ]);
+}
+
+test('stripMetadata drops JPEG comments', () => {
+    const input = sampleJpeg();
+    const output = stripMetadata(input, 'image/jpeg');
+    assert.ok(input.includes('secret!!'));
+    assert.ok(!output.includes('secret!!'));
+    assert.strictEqual(output.length, input.length - 12);
+});
+
+test('stripMetadata drops GIF comments', () => {
+    const output = stripMetadata(sampleGif(), 'image/gif');
+    assert.ok(!output.includes('hi!'));
+    assert.strictEqual(output[output.length - 1], 0x3b);
+});
+
+test('truncated files throw CorruptImageError', () => {
+    const jpg = sampleJpeg();
+    assert.throws(() => stripMetadata(jpg.slice(0, 30), 'image/jpeg'), CorruptImageError);
+    const gif = sampleGif();
+    for (const length of [12, 20, 30, gif.length - 1]) {
+        assert.throws(() => stripMetadata(gif.slice(0, length), 'image/gif'), CorruptImageError, `GIF cut at ${length}`);
+    }
+});
+
+test('cleanImage rejects files that do not parse', () => {
+    assert.throws(() => cleanImage(sampleGif().slice(0, 30), 'image/gif'), RejectedFileError);
+    assert.throws(() => cleanImage(sampleJpeg().slice(0, 30), 'image/jpeg'), RejectedFileError);
+});
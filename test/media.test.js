@@ -0,0 +1,59 @@
+// What the media function answers with and without Range, against an in-memory Blobs store.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const blobs = new Map();
+require.cache[require.resolve('@netlify/blobs')] = {
+    loaded: true,
+    exports: {
+        connectLambda() {},
+        getStore: () => ({
+            async getWithMetadata(key) {
+                const file = blobs.get(key);
+                return file ? { data: file.data, metadata: { contentType: file.contentType } } : null;
+            },
+        }),
+    },
+};
+
+const { handler } = require('../netlify/functions/media');
+const { MEDIA_CHUNK_BYTES } = require('../netlify/functions/uploads');
+
+function put(size, extension) {
+    const key = `${String(size).padStart(64, '0')}.${extension}`;
+    const data = Buffer.alloc(size, 7);
+    blobs.set(key, { data: data.buffer.slice(data.byteOffset, data.byteOffset + size), contentType: 'video/mp4' });
+    return key;
+}
+
+const get = (key, headers = {}) => handler({ httpMethod: 'GET', queryStringParameters: { key }, headers });
+
+test('a small file without Range is sent whole', async () => {
+    const res = await get(put(1000, 'mp4'));
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(Buffer.from(res.body, 'base64').length, 1000);
+    assert.strictEqual(res.headers['Content-Range'], undefined);
+});
+
+test('a large file without Range is refused, not cut short', async () => {
+    const res = await get(put(MEDIA_CHUNK_BYTES + 1, 'mp4'));
+    assert.strictEqual(res.statusCode, 413);
+    assert.strictEqual(res.headers['Accept-Ranges'], 'bytes');
+});
+
+test('a large file is served in capped ranges', async () => {
+    const size = MEDIA_CHUNK_BYTES * 2;
+    const key = put(size, 'mp4');
+    const first = await get(key, { range: 'bytes=0-' });
+    assert.strictEqual(first.statusCode, 206);
+    assert.strictEqual(first.headers['Content-Range'], `bytes 0-${MEDIA_CHUNK_BYTES - 1}/${size}`);
+    const last = await get(key, { range: 'bytes=-10' });
+    assert.strictEqual(last.statusCode, 206);
+    assert.strictEqual(Buffer.from(last.body, 'base64').length, 10);
+});
+
+test('a range past the end gets a 416', async () => {
+    const res = await get(put(100, 'mp4'), { range: 'bytes=500-' });
+    assert.strictEqual(res.statusCode, 416);
+    assert.strictEqual(res.headers['Content-Range'], 'bytes */100');
+});